@@ -1,88 +1,1110 @@
 const DB_NAME = 'JsonDB';
 const STORE_NAME = 'documents';
+// Bookkeeping store recording which migrations have been applied
+const MIGRATIONS_STORE = '_migrations';
+// Holds the passphrase verifier when encryption at rest is enabled
+const ENCRYPTION_STORE = '_encryption';
 
-export async function openDB() {
+// Registered collections (object stores) and their secondary indexes.
+// The default `documents` store backs saveJSON/loadJSON and holds JSON strings;
+// collections defined with defineCollection hold parsed objects so indexes can
+// reach into them by JSON path.
+const collections = new Map([[STORE_NAME, { indexes: [] }]]);
+
+function normalizeIndex(index) {
+  const spec = typeof index === 'string' ? { path: index } : index;
+  if (!spec || !spec.path) {
+    throw new Error('Index definition requires a path');
+  }
+  return {
+    name: spec.name || (Array.isArray(spec.path) ? spec.path.join('+') : spec.path),
+    keyPath: spec.path,
+    unique: Boolean(spec.unique),
+    multiEntry: Boolean(spec.multiEntry),
+  };
+}
+
+/**
+ * Register a named collection with secondary indexes on JSON paths, e.g.
+ * defineCollection('notes', { indexes: ['label', { path: 'meta.createdAt' }] }).
+ * Missing stores and indexes are created the next time the database is opened.
+ */
+export function defineCollection(name, { indexes = [] } = {}) {
+  collections.set(name, { indexes: indexes.map(normalizeIndex) });
+  schemaChanged = true;
+}
+
+function isSchemaCurrent(db) {
+  if (!db.objectStoreNames.contains(MIGRATIONS_STORE)) return false;
+  if (!db.objectStoreNames.contains(ENCRYPTION_STORE)) return false;
+  for (const [name, { indexes }] of collections) {
+    if (!db.objectStoreNames.contains(name)) return false;
+    const store = db.transaction(name, 'readonly').objectStore(name);
+    if (indexes.some((index) => !store.indexNames.contains(index.name))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function ensureStore(db, tx, name) {
+  return db.objectStoreNames.contains(name)
+    ? tx.objectStore(name)
+    : db.createObjectStore(name);
+}
+
+function ensureIndex(store, index) {
+  if (!store.indexNames.contains(index.name)) {
+    store.createIndex(index.name, index.keyPath, {
+      unique: index.unique,
+      multiEntry: index.multiEntry,
+    });
+  }
+}
+
+function createMissingSchema(db, tx) {
+  if (!db.objectStoreNames.contains(MIGRATIONS_STORE)) {
+    db.createObjectStore(MIGRATIONS_STORE, { keyPath: 'version' });
+  }
+  ensureStore(db, tx, ENCRYPTION_STORE);
+  for (const [name, { indexes }] of collections) {
+    const store = ensureStore(db, tx, name);
+    indexes.forEach((index) => ensureIndex(store, index));
+  }
+}
+
+// Ordered upgrade steps, keyed by migration version
+const migrations = new Map();
+const DELETE_DOCUMENT = Symbol('deleteDocument');
+const versionChangeListeners = new Set();
+
+/**
+ * Register an upgrade step. Pending steps run in version order inside the
+ * upgrade transaction the next time the database is opened, and each one is
+ * recorded so it never runs twice.
+ *
+ * `upgrade` receives helpers bound to the upgrade transaction. It may be async,
+ * but must only await the helpers (or other IndexedDB requests on `transaction`),
+ * otherwise the transaction commits before the step finishes.
+ *
+ * @param {Object} migration
+ * @param {number} migration.version - Positive integer that orders the steps
+ * @param {string} [migration.name]
+ * @param {(helpers: {
+ *   db: IDBDatabase,
+ *   transaction: IDBTransaction,
+ *   createStore: (name: string) => IDBObjectStore,
+ *   deleteStore: (name: string) => void,
+ *   createIndex: (store: string, index: string|Object) => void,
+ *   deleteIndex: (store: string, indexName: string) => void,
+ *   rewriteDocuments: (store: string, fn: (value, id) => *) => Promise<number>,
+ *   DELETE: symbol
+ * }) => void|Promise<void>} migration.upgrade
+ */
+export function registerMigration({ version, name, upgrade }) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Migration version must be a positive integer, got ${version}`);
+  }
+  if (typeof upgrade !== 'function') {
+    throw new Error(`Migration ${version} requires an upgrade function`);
+  }
+  if (migrations.has(version)) {
+    throw new Error(`Migration ${version} is already registered`);
+  }
+  migrations.set(version, { version, name: name || `migration-${version}`, upgrade });
+  schemaChanged = true;
+}
+
+/**
+ * Called when another tab upgrades the database; this tab's connection is
+ * closed first so the upgrade is not blocked. Returns an unsubscribe function.
+ */
+export function onVersionChange(listener) {
+  versionChangeListeners.add(listener);
+  return () => versionChangeListeners.delete(listener);
+}
+
+function requestToPromise(request) {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getPendingMigrations(db) {
+  const registered = [...migrations.values()].sort((a, b) => a.version - b.version);
+  if (!db.objectStoreNames.contains(MIGRATIONS_STORE)) return registered;
+
+  const applied = await requestToPromise(
+    db.transaction(MIGRATIONS_STORE, 'readonly').objectStore(MIGRATIONS_STORE).getAllKeys()
+  );
+  return registered.filter((migration) => !applied.includes(migration.version));
+}
+
+function createMigrationHelpers(db, tx) {
+  // Rewrite every document in a store; return undefined to keep a document
+  // unchanged or DELETE to remove it. Resolves with the number of changes.
+  const rewriteDocuments = (storeName, fn) =>
+    new Promise((resolve, reject) => {
+      const request = tx.objectStore(storeName).openCursor();
+      let changed = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(changed);
+          return;
+        }
+
+        const next = fn(cursor.value, cursor.primaryKey);
+        if (next === DELETE_DOCUMENT) {
+          cursor.delete();
+          changed++;
+        } else if (next !== undefined) {
+          cursor.update(next);
+          changed++;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+  return {
+    db,
+    transaction: tx,
+    createStore: (name) => ensureStore(db, tx, name),
+    deleteStore: (name) => {
+      if (db.objectStoreNames.contains(name)) db.deleteObjectStore(name);
+    },
+    createIndex: (storeName, index) =>
+      ensureIndex(tx.objectStore(storeName), normalizeIndex(index)),
+    deleteIndex: (storeName, indexName) => {
+      const store = tx.objectStore(storeName);
+      if (store.indexNames.contains(indexName)) store.deleteIndex(indexName);
+    },
+    rewriteDocuments,
+    DELETE: DELETE_DOCUMENT,
+  };
+}
+
+async function runMigrationSteps(db, tx, pending, report) {
+  const helpers = createMigrationHelpers(db, tx);
+  const log = tx.objectStore(MIGRATIONS_STORE);
+
+  for (const migration of pending) {
+    await migration.upgrade(helpers);
+    log.put({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+    report.applied.push({ version: migration.version, name: migration.name });
+  }
+}
+
+function openWithVersion(version, pending = [], report = null) {
+  return new Promise((resolve, reject) => {
+    const request =
+      version === undefined
+        ? indexedDB.open(DB_NAME)
+        : indexedDB.open(DB_NAME, version);
+    let migrationError = null;
 
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
+      const tx = event.target.transaction;
+      if (report) report.fromVersion = event.oldVersion;
+
+      createMissingSchema(db, tx);
+      runMigrationSteps(db, tx, pending, report || { applied: [] }).catch((err) => {
+        migrationError = err;
+        tx.abort();
+      });
+    };
+
+    request.onblocked = () =>
+      console.warn(`⏳ ${DB_NAME} upgrade is waiting for other tabs to close their connection`);
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+      // Let a later schema upgrade (from this or another tab) proceed
+      db.onversionchange = (change) => {
+        db.close();
+        forgetConnection(db);
+        console.warn(`🔒 Closing ${DB_NAME} connection for upgrade to version ${change.newVersion}`);
+        versionChangeListeners.forEach((listener) => listener(change));
+      };
+      resolve(db);
+    };
+    request.onerror = (event) => {
+      event.preventDefault();
+      if (migrationError) {
+        reject(new Error('IndexedDB migration failed: ' + migrationError.message));
+      } else {
+        reject(new Error('IndexedDB open error: ' + (request.error && request.error.name)));
       }
     };
+  });
+}
+
+let lastMigrationReport = null;
+
+// One shared connection per page. It is re-validated only after
+// defineCollection/registerMigration change the expected schema.
+let connection = null;
+let connectedDB = null;
+let schemaChanged = true;
+// Callers handed a connection that have not opened their transaction yet,
+// keyed by the connection promise: { count, idle: [resolve] }
+const connectionUsers = new Map();
+
+function forgetConnection(db) {
+  if (connectedDB === db) {
+    connection = null;
+    connectedDB = null;
+  }
+}
+
+function releaseConnection(pending) {
+  const users = connectionUsers.get(pending);
+  if (--users.count === 0) {
+    connectionUsers.delete(pending);
+    users.idle.forEach((resolve) => resolve());
+  }
+}
+
+// Close a replaced connection once its callers have opened their transactions.
+// close() itself lets those transactions finish.
+async function retireConnection(previous) {
+  const users = connectionUsers.get(previous);
+  if (users) await new Promise((resolve) => users.idle.push(resolve));
+  try {
+    (await previous).close();
+  } catch {
+    // It never opened, so there is nothing to close
+  }
+}
+
+// Run `fn(db)` on the shared connection. `fn` must open its transactions
+// synchronously; until it has, a schema change will not close the connection.
+async function withConnection(fn) {
+  const pending = openDB();
+  const users = connectionUsers.get(pending) || { count: 0, idle: [] };
+  users.count++;
+  connectionUsers.set(pending, users);
+  try {
+    return fn(await pending);
+  } finally {
+    releaseConnection(pending);
+  }
+}
+
+/**
+ * Open the database, creating missing collections and running pending
+ * migrations in a single version upgrade when needed. The connection is cached
+ * and shared by every call until it is closed or the schema changes; functions
+ * of this module finish opening their transactions before it is replaced.
+ */
+export function openDB() {
+  if (!connection || schemaChanged) {
+    schemaChanged = false;
+    const previous = connection;
+    connectedDB = null;
+
+    const retired = previous ? retireConnection(previous) : Promise.resolve();
+    const pending = retired.then(connectAndUpgrade).then((db) => {
+      if (connection === pending) {
+        connectedDB = db;
+        db.onclose = () => forgetConnection(db);
+      }
+      return db;
+    });
+    connection = pending;
+    pending.catch(() => {
+      if (connection === pending) connection = null;
+    });
+  }
+  return connection;
+}
+
+// Close the shared connection; the next call reopens it
+export function closeDB() {
+  if (connectedDB) connectedDB.close();
+  connection = null;
+  connectedDB = null;
+}
+
+async function connectAndUpgrade() {
+  // Another tab may upgrade between our read and reopen, so re-check a few times
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const db = await openWithVersion();
+    const pending = await getPendingMigrations(db);
+    if (pending.length === 0 && isSchemaCurrent(db)) return db;
+
+    const nextVersion = db.version + 1;
+    const report = { fromVersion: db.version, toVersion: nextVersion, applied: [] };
+    db.close();
+
+    let upgraded;
+    try {
+      upgraded = await openWithVersion(nextVersion, pending, report);
+    } catch (err) {
+      // VersionError: someone else already moved past nextVersion
+      if (/VersionError/.test(err.message)) continue;
+      throw err;
+    }
+
+    lastMigrationReport = report;
+    report.applied.forEach(({ version, name }) =>
+      console.log(`🔄 Applied migration ${version} (${name})`)
+    );
+    return upgraded;
+  }
+  throw new Error(`Could not upgrade ${DB_NAME}: version keeps changing`);
+}
+
+/**
+ * Open the database and report what this call upgraded:
+ * { fromVersion, toVersion, applied: [{ version, name }] }, where `applied` is
+ * empty if nothing was pending.
+ */
+export async function runMigrations() {
+  lastMigrationReport = null;
+  const db = await openDB();
+  return lastMigrationReport || { fromVersion: db.version, toVersion: db.version, applied: [] };
+}
+
+// Full history of applied migrations, oldest first: [{ version, name, appliedAt }]
+export async function getAppliedMigrations() {
+  return withConnection((db) =>
+    requestToPromise(
+      db.transaction(MIGRATIONS_STORE, 'readonly').objectStore(MIGRATIONS_STORE).getAll()
+    )
+  );
+}
+
+// Change subscriptions, shared with other tabs through a BroadcastChannel
+const subscriptions = new Set();
+let changeChannel = null;
+
+function getChangeChannel() {
+  if (!changeChannel && typeof BroadcastChannel !== 'undefined') {
+    changeChannel = new BroadcastChannel(`${DB_NAME}:changes`);
+    changeChannel.onmessage = (event) => dispatchChanges(event.data, 'remote');
+  }
+  return changeChannel;
+}
+
+function matchesPattern(pattern, id) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) return String(id).startsWith(pattern.slice(0, -1));
+  return String(id) === pattern;
+}
+
+function dispatchChanges(changes, source) {
+  for (const change of changes) {
+    for (const subscription of subscriptions) {
+      if (subscription.collection && subscription.collection !== change.collection) continue;
+      if (!matchesPattern(subscription.pattern, change.id)) continue;
+
+      try {
+        subscription.callback({ ...change, source });
+      } catch (err) {
+        console.error('❌ Subscriber failed:', err.message);
+      }
+    }
+  }
+}
+
+// Called once a write transaction has committed
+function notifyChanges(changes) {
+  if (changes.length === 0) return;
+  dispatchChanges(changes, 'local');
+  const channel = getChangeChannel();
+  if (channel) channel.postMessage(changes);
+}
+
+/**
+ * Watch documents for committed writes and deletes, from this tab or others.
+ *
+ * @param {string} idOrPrefix - Exact id, a prefix ending in '*' (e.g. 'item:*'), or '*' for all
+ * @param {(change: { type: 'put'|'delete', collection: string, id, source: 'local'|'remote' }) => void} callback
+ * @param {Object} [options]
+ * @param {string} [options.collection] - Only report changes to this collection
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(idOrPrefix, callback, { collection } = {}) {
+  if (typeof callback !== 'function') {
+    throw new Error('subscribe requires a callback function');
+  }
+
+  const subscription = { pattern: String(idOrPrefix), callback, collection };
+  subscriptions.add(subscription);
+  getChangeChannel();
+
+  return () => {
+    subscriptions.delete(subscription);
+    if (subscriptions.size === 0 && changeChannel) {
+      changeChannel.close();
+      changeChannel = null;
+    }
+  };
+}
+
+// Encryption at rest for the default store, compatible with
+// encryption/AES-256-GCM/javaScript-node.md: AES-256-GCM with a PBKDF2-SHA512
+// key (100000 iterations) and { salt, iv, authTag, data } hex envelopes.
+// The salt is shared by every record of the database, so the key is derived
+// once per passphrase; each record still gets its own IV and auth tag.
+// Envelopes carrying another salt (an export from another browser, or from
+// before a rotation) are opened with a key derived from their own salt.
+const PBKDF2_ITERATIONS = 100000;
+const VERIFIER_ID = 'verifier';
+const VERIFIER_TEXT = JSON.stringify({ check: DB_NAME });
+let encryption = null;
+
+// Writes to the default store wait while a key rotation runs, and a rotation
+// waits for writes already under way, so no write is lost or left on the old key
+let keyRotation = null;
+let activeWrites = 0;
+const writesIdle = [];
+
+async function guardedWrite(write) {
+  while (keyRotation) await keyRotation;
+  activeWrites++;
+  try {
+    return await write();
+  } finally {
+    if (--activeWrites === 0) writesIdle.splice(0).forEach((resolve) => resolve());
+  }
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/../g) || [], (pair) => parseInt(pair, 16));
+}
+
+function isEnvelope(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    ['salt', 'iv', 'authTag', 'data'].every((field) => typeof value[field] === 'string')
+  );
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-512' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptText(text, keyInfo = encryption) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keyInfo.key, new TextEncoder().encode(text))
+  );
+  // WebCrypto appends the 16-byte tag; Node keeps it separate as authTag
+  return {
+    salt: toHex(keyInfo.salt),
+    iv: toHex(iv),
+    authTag: toHex(sealed.slice(-16)),
+    data: toHex(sealed.slice(0, -16)),
+  };
+}
+
+// Key for an envelope's salt: the active key, or one derived from the same
+// passphrase and cached per salt
+function keyForSalt(keyInfo, saltHex) {
+  if (saltHex === toHex(keyInfo.salt)) return keyInfo.key;
+  if (!keyInfo.keysBySalt.has(saltHex)) {
+    keyInfo.keysBySalt.set(saltHex, deriveKey(keyInfo.passphrase, fromHex(saltHex)));
+  }
+  return keyInfo.keysBySalt.get(saltHex);
+}
+
+async function decryptText(envelope, keyInfo = encryption) {
+  if (!keyInfo) {
+    throw new Error('Document is encrypted, call enableEncryption(passphrase) first');
+  }
+  const key = await keyForSalt(keyInfo, envelope.salt);
+
+  const data = fromHex(envelope.data);
+  const sealed = new Uint8Array(data.length + 16);
+  sealed.set(data);
+  sealed.set(fromHex(envelope.authTag), data.length);
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromHex(envelope.iv) },
+      key,
+      sealed
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    throw new Error('Decryption failed: wrong passphrase or tampered data');
+  }
+}
+
+// Stored form of a JSON string: an envelope when encryption is enabled
+async function encodeForStorage(jsonString) {
+  return encryption ? JSON.stringify(await encryptText(jsonString)) : jsonString;
+}
+
+// JSON text of a stored value, decrypting envelopes. Records written before
+// encryption was enabled are returned as they are.
+async function decodeFromStorage(raw) {
+  if (typeof raw !== 'string') return raw;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+  return isEnvelope(parsed) ? decryptText(parsed) : raw;
+}
+
+function readRaw(storeName, key) {
+  return withConnection((db) =>
+    requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).get(key))
+  );
+}
+
+/**
+ * Encrypt documents saved through saveJSON/saveMany/importFromJSONFile from now
+ * on. The first call sets the passphrase; later calls (e.g. after a reload)
+ * must use the same one or they fail with a clear error. Collections are not
+ * encrypted, since their indexes need readable values.
+ */
+export async function enableEncryption(passphrase) {
+  if (!passphrase) {
+    throw new Error('enableEncryption requires a passphrase');
+  }
+
+  const verifier = await readRaw(ENCRYPTION_STORE, VERIFIER_ID);
+  if (verifier) {
+    const salt = fromHex(verifier.salt);
+    const keyInfo = { salt, key: await deriveKey(passphrase, salt), passphrase, keysBySalt: new Map() };
+    try {
+      await decryptText(verifier, keyInfo);
+    } catch {
+      throw new Error(`Incorrect passphrase for encrypted ${DB_NAME}`);
+    }
+    encryption = keyInfo;
+    return true;
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const keyInfo = { salt, key: await deriveKey(passphrase, salt), passphrase, keysBySalt: new Map() };
+  const envelope = await encryptText(VERIFIER_TEXT, keyInfo);
+  await withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(ENCRYPTION_STORE, 'readwrite');
+      tx.objectStore(ENCRYPTION_STORE).put(envelope, VERIFIER_ID);
+      tx.oncomplete = resolve;
+      tx.onabort = () => reject(new Error('Failed to store encryption verifier'));
+    })
+  );
+  encryption = keyInfo;
+  console.log(`🔐 Encryption enabled for ${DB_NAME}`);
+  return true;
+}
 
-    request.onsuccess = (event) => resolve(event.target.result);
-    request.onerror = (event) =>
-      reject(new Error('IndexedDB open error: ' + event.target.errorCode));
+// Forget the derived key; encrypted documents become unreadable until enableEncryption
+export function lockEncryption() {
+  encryption = null;
+}
+
+/**
+ * Re-encrypt every record of the default store under a new passphrase (and a
+ * new salt), in one transaction. Records still in plaintext are encrypted too.
+ * Writes to the default store wait until the rotation has finished.
+ * @returns {Promise<number>} Number of records re-encrypted
+ */
+export async function rotateEncryptionKey(newPassphrase) {
+  if (!encryption) {
+    throw new Error('Call enableEncryption with the current passphrase before rotating');
+  }
+  if (!newPassphrase) {
+    throw new Error('rotateEncryptionKey requires a new passphrase');
+  }
+
+  if (keyRotation) {
+    throw new Error('A key rotation is already running');
+  }
+
+  let finishRotation;
+  keyRotation = new Promise((resolve) => {
+    finishRotation = resolve;
   });
+  try {
+    if (activeWrites > 0) await new Promise((resolve) => writesIdle.push(resolve));
+
+    const stored = await withConnection((db) =>
+      new Promise((resolve, reject) => {
+        const entries = [];
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(entries);
+            return;
+          }
+          entries.push([cursor.primaryKey, cursor.value]);
+          cursor.continue();
+        };
+        request.onerror = () => reject(new Error('Failed to read records for key rotation'));
+      })
+    );
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const keyInfo = { salt, key: await deriveKey(newPassphrase, salt), passphrase: newPassphrase, keysBySalt: new Map() };
+    const rewritten = [];
+    for (const [id, raw] of stored) {
+      const text = await decodeFromStorage(raw);
+      rewritten.push([id, JSON.stringify(await encryptText(text, keyInfo))]);
+    }
+    const verifier = await encryptText(VERIFIER_TEXT, keyInfo);
+
+    await withConnection((db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction([STORE_NAME, ENCRYPTION_STORE], 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        rewritten.forEach(([id, value]) => store.put(value, id));
+        tx.objectStore(ENCRYPTION_STORE).put(verifier, VERIFIER_ID);
+
+        tx.oncomplete = resolve;
+        tx.onabort = () =>
+          reject(new Error('Key rotation aborted, records still use the old passphrase'));
+      })
+    );
+
+    encryption = keyInfo;
+    console.log(`🔑 Re-encrypted ${rewritten.length} records with the new passphrase`);
+    return rewritten.length;
+  } finally {
+    keyRotation = null;
+    finishRotation();
+  }
 }
 
 export async function saveJSON(id, jsonString) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readwrite');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.put(jsonString, id);
+  return guardedWrite(async () => {
+    const stored = await encodeForStorage(jsonString);
+    return withConnection((db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        store.put(stored, id);
 
-    request.onsuccess = () => resolve(true);
-    request.onerror = () =>
-      reject(new Error('Failed to store JSON with ID: ' + id));
+        // Resolve on commit: a put can succeed and its transaction still abort
+        tx.oncomplete = () => {
+          notifyChanges([{ type: 'put', collection: STORE_NAME, id }]);
+          resolve(true);
+        };
+        tx.onabort = () =>
+          reject(new Error('Failed to store JSON with ID: ' + id));
+      })
+    );
   });
 }
 
-export async function loadJSON(id) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const request = store.get(id);
+function toEntries(entries) {
+  if (entries instanceof Map || Array.isArray(entries)) return [...entries];
+  return Object.entries(entries);
+}
 
-    request.onsuccess = () => {
-      try {
-        resolve(JSON.parse(request.result));
-      } catch {
-        reject(new Error(`Stored data for ID "${id}" is not valid JSON`));
+/**
+ * Save many documents in one transaction; either all are committed or none.
+ * Accepts an object or Map of id -> JSON string, or an array of [id, jsonString]
+ * pairs. Objects are stringified for convenience.
+ * @returns {Promise<number>} Number of documents saved
+ */
+export async function saveMany(entries) {
+  return guardedWrite(async () => {
+    const records = toEntries(entries);
+    const stored = await Promise.all(
+      records.map(([, value]) => encodeForStorage(typeof value === 'string' ? value : JSON.stringify(value)))
+    );
+    return withConnection((db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        records.forEach(([id], i) => store.put(stored[i], id));
+
+        tx.oncomplete = () => {
+          notifyChanges(records.map(([id]) => ({ type: 'put', collection: STORE_NAME, id })));
+          resolve(records.length);
+        };
+        tx.onabort = () =>
+          reject(new Error(`Failed to store ${records.length} JSON documents: ` + (tx.error && tx.error.message)));
+      })
+    );
+  });
+}
+
+/**
+ * Load several documents in one transaction.
+ * @returns {Promise<Object>} id -> parsed document; missing ids are omitted and
+ *   unparseable entries are null, as in loadAllJSON
+ */
+export async function loadMany(ids) {
+  return parseStoredEntries(await readRawMany(ids));
+}
+
+// Stored values of several documents, read in one transaction; missing ids are omitted
+function readRawMany(ids) {
+  return withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const found = new Map();
+
+      for (const id of ids) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result !== undefined) found.set(id, request.result);
+        };
       }
-    };
 
-    request.onerror = () =>
-      reject(new Error('Failed to load JSON with ID: ' + id));
+      tx.oncomplete = () => resolve(found);
+      tx.onabort = () => reject(new Error('Failed to load JSON documents'));
+    })
+  );
+}
+
+// Decrypt and parse [id, stored value] entries; unparseable values become null
+async function parseStoredEntries(entries) {
+  const parsed = {};
+  for (const [id, value] of entries) {
+    const text = await decodeFromStorage(value);
+    try {
+      parsed[id] = JSON.parse(text);
+    } catch {
+      parsed[id] = null;
+    }
+  }
+  return parsed;
+}
+
+// Delete several documents in one transaction; resolves once committed
+export async function deleteMany(ids) {
+  return guardedWrite(async () => {
+    const keys = [...ids];
+    return withConnection((db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        keys.forEach((id) => store.delete(id));
+
+        tx.oncomplete = () => {
+          notifyChanges(keys.map((id) => ({ type: 'delete', collection: STORE_NAME, id })));
+          resolve(keys.length);
+        };
+        tx.onabort = () =>
+          reject(new Error(`Failed to delete ${keys.length} JSON documents`));
+      })
+    );
   });
 }
 
+export async function loadJSON(id) {
+  let raw;
+  try {
+    raw = await readRaw(STORE_NAME, id);
+  } catch {
+    throw new Error('Failed to load JSON with ID: ' + id);
+  }
+
+  const text = await decodeFromStorage(raw);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Stored data for ID "${id}" is not valid JSON`);
+  }
+}
+
 export async function loadAllJSON() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_NAME, 'readonly');
-    const store = tx.objectStore(STORE_NAME);
-    const allData = {};
+  const raw = await withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const allData = [];
 
-    const cursorRequest = store.openCursor();
+      const cursorRequest = store.openCursor();
 
-    cursorRequest.onsuccess = (event) => {
-      const cursor = event.target.result;
-      if (cursor) {
-        try {
-          allData[cursor.key] = JSON.parse(cursor.value);
-        } catch {
-          allData[cursor.key] = null;
+      cursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          allData.push([cursor.key, cursor.value]);
+          cursor.continue();
+        } else {
+          resolve(allData);
         }
-        cursor.continue();
-      } else {
-        resolve(allData);
+      };
+
+      cursorRequest.onerror = () => {
+        reject(new Error('Failed to load all JSON entries'));
+      };
+    })
+  );
+
+  return parseStoredEntries(raw);
+}
+
+function requireCollection(collection) {
+  if (!collections.has(collection)) {
+    throw new Error(`Unknown collection "${collection}", call defineCollection first`);
+  }
+}
+
+export async function putDocument(collection, id, doc) {
+  requireCollection(collection);
+  const value = typeof doc === 'string' ? JSON.parse(doc) : doc;
+  return withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(collection, 'readwrite');
+      tx.objectStore(collection).put(value, id);
+
+      tx.oncomplete = () => {
+        notifyChanges([{ type: 'put', collection, id }]);
+        resolve(true);
+      };
+      tx.onabort = () =>
+        reject(new Error(`Failed to store document "${id}" in ${collection}`));
+    })
+  );
+}
+
+export async function getDocument(collection, id) {
+  requireCollection(collection);
+  return withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const request = db
+        .transaction(collection, 'readonly')
+        .objectStore(collection)
+        .get(id);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () =>
+        reject(new Error(`Failed to load document "${id}" from ${collection}`));
+    })
+  );
+}
+
+export async function deleteDocument(collection, id) {
+  requireCollection(collection);
+  return withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(collection, 'readwrite');
+      tx.objectStore(collection).delete(id);
+
+      tx.oncomplete = () => {
+        notifyChanges([{ type: 'delete', collection, id }]);
+        resolve(true);
+      };
+      tx.onabort = () =>
+        reject(new Error(`Failed to delete document "${id}" from ${collection}`));
+    })
+  );
+}
+
+// Build an IDBKeyRange from { eq, gt, gte, lt, lte } or a string prefix
+function toKeyRange({ range, prefix } = {}) {
+  if (prefix !== undefined) {
+    return IDBKeyRange.bound(prefix, prefix + '\uffff', false, false);
+  }
+  if (!range) return null;
+  if (range.eq !== undefined) return IDBKeyRange.only(range.eq);
+
+  const lower = range.gt !== undefined ? range.gt : range.gte;
+  const upper = range.lt !== undefined ? range.lt : range.lte;
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper, range.gt !== undefined, range.lt !== undefined);
+  }
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower, range.gt !== undefined);
+  if (upper !== undefined) return IDBKeyRange.upperBound(upper, range.lt !== undefined);
+  return null;
+}
+
+// Cursor tokens carry real IDB keys (numbers, strings, Dates, binary and arrays of
+// them), tagged by type so a Date key is still a Date after the JSON round trip
+function serializeKey(key) {
+  if (key instanceof Date) return { date: key.getTime() };
+  if (Array.isArray(key)) return { array: key.map(serializeKey) };
+  if (key instanceof ArrayBuffer) return { binary: toHex(new Uint8Array(key)) };
+  if (ArrayBuffer.isView(key)) {
+    return { binary: toHex(new Uint8Array(key.buffer, key.byteOffset, key.byteLength)) };
+  }
+  if (typeof key === 'number') return { number: String(key) };
+  if (typeof key === 'string') return { string: key };
+  throw new Error(`Unsupported key type: ${typeof key}`);
+}
+
+function deserializeKey(tagged) {
+  if ('date' in tagged) return new Date(tagged.date);
+  if ('array' in tagged) return tagged.array.map(deserializeKey);
+  if ('binary' in tagged) return fromHex(tagged.binary).buffer;
+  if ('number' in tagged) return Number(tagged.number);
+  if (typeof tagged.string === 'string') return tagged.string;
+  throw new Error('Unknown key tag');
+}
+
+function encodeCursor(key, primaryKey) {
+  const token = { key: serializeKey(key), primaryKey: serializeKey(primaryKey) };
+  return btoa(encodeURIComponent(JSON.stringify(token)));
+}
+
+function decodeCursor(token) {
+  try {
+    const { key, primaryKey } = JSON.parse(decodeURIComponent(atob(token)));
+    return { key: deserializeKey(key), primaryKey: deserializeKey(primaryKey) };
+  } catch {
+    throw new Error('Invalid pagination cursor');
+  }
+}
+
+/**
+ * Query a collection without loading it into memory.
+ *
+ * @param {string} collection
+ * @param {Object} [options]
+ * @param {string} [options.index] - Index name (its JSON path by default); omit to scan by id
+ * @param {Object} [options.range] - { eq } or any of { gt, gte, lt, lte }
+ * @param {string} [options.prefix] - String key prefix, e.g. 'item:' for ids like item:*
+ * @param {'asc'|'desc'} [options.direction='asc']
+ * @param {number} [options.limit] - Maximum number of results
+ * @param {number} [options.offset=0] - Results to skip (ignored when `after` is given)
+ * @param {string} [options.after] - `nextCursor` from a previous page
+ * @returns {Promise<{ items: Array<{ id, value }>, nextCursor: string|null }>}
+ */
+export async function query(collection, options = {}) {
+  requireCollection(collection);
+  const {
+    index,
+    direction = 'asc',
+    limit = Infinity,
+    offset = 0,
+    after,
+  } = options;
+
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new Error(`Invalid direction "${direction}", expected asc or desc`);
+  }
+  // The cursor loop only ends a page after reading at least one item
+  if (limit <= 0) return { items: [], nextCursor: null };
+
+  return withConnection((db) =>
+    new Promise((resolve, reject) => {
+      const store = db.transaction(collection, 'readonly').objectStore(collection);
+      let source = store;
+      if (index) {
+        if (!store.indexNames.contains(index)) {
+          reject(new Error(`Collection "${collection}" has no index "${index}"`));
+          return;
+        }
+        source = store.index(index);
       }
-    };
 
-    cursorRequest.onerror = () => {
-      reject(new Error('Failed to load all JSON entries'));
-    };
-  });
+      const resume = after ? decodeCursor(after) : null;
+      const items = [];
+      let skipped = resume ? offset : 0;
+      let positioned = !resume;
+      let lastKey;
+      let lastPrimaryKey;
+
+      const request = source.openCursor(
+        toKeyRange(options),
+        direction === 'desc' ? 'prev' : 'next'
+      );
+
+      request.onsuccess = () => {
+        // A throw here would escape the request and leave the promise pending
+        try {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve({ items, nextCursor: null });
+            return;
+          }
+
+          // Jump to the record the previous page ended on, then step past it
+          if (!positioned) {
+            let cmp = indexedDB.cmp(cursor.key, resume.key);
+            if (cmp === 0 && index) cmp = indexedDB.cmp(cursor.primaryKey, resume.primaryKey);
+            if (direction === 'desc') cmp = -cmp;
+
+            if (cmp < 0) {
+              if (index) cursor.continuePrimaryKey(resume.key, resume.primaryKey);
+              else cursor.continue(resume.key);
+              return;
+            }
+            positioned = true;
+            if (cmp === 0) {
+              cursor.continue();
+              return;
+            }
+          }
+
+          if (skipped < offset) {
+            const remaining = offset - skipped;
+            skipped = offset;
+            cursor.advance(remaining);
+            return;
+          }
+
+          if (items.length >= limit) {
+            resolve({
+              items,
+              nextCursor: lastKey === undefined ? null : encodeCursor(lastKey, lastPrimaryKey),
+            });
+            return;
+          }
+
+          items.push({ id: cursor.primaryKey, value: cursor.value });
+          lastKey = cursor.key;
+          lastPrimaryKey = cursor.primaryKey;
+          cursor.continue();
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      request.onerror = () =>
+        reject(new Error(`Failed to query collection "${collection}"`));
+    })
+  );
 }
 
-export async function exportAllToJSONFile(filename = 'indexeddb_export.json') {
+/**
+ * Download every document of the default store as a JSON backup.
+ * With { encrypted: true } each document is written as an AES-256-GCM envelope
+ * that importFromJSONFile, or the Node decryption script, can open with the
+ * passphrase.
+ */
+export async function exportAllToJSONFile(
+  filename = 'indexeddb_export.json',
+  { encrypted = false } = {}
+) {
   try {
+    if (encrypted && !encryption) {
+      throw new Error('Encrypted export requires enableEncryption(passphrase) first');
+    }
+
     const data = await loadAllJSON();
+    if (encrypted) {
+      for (const [id, value] of Object.entries(data)) {
+        data[id] = await encryptText(JSON.stringify(value));
+      }
+    }
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
 
     const link = document.createElement('a');
@@ -101,11 +1123,188 @@ export async function exportAllToJSONFile(filename = 'indexeddb_export.json') {
 }
 
 
+const IMPORT_STRATEGIES = ['overwrite', 'skip-existing', 'newest-wins'];
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string') return Date.parse(value);
+  return NaN;
+}
+
+/**
+ * Restore a backup written by exportAllToJSONFile: an object mapping ids to
+ * JSON documents. Every record is written in one transaction, so a failure
+ * part-way leaves the database untouched.
+ *
+ * Any JSON value is restored as it is, except `null`: exportAllToJSONFile
+ * writes it for entries it could not parse. Those, and records without a valid
+ * timestamp under newest-wins, count as invalid and are left out.
+ *
+ * @param {File|Blob|string|Object} file - Backup file, its text, or the parsed object
+ * @param {Object} [options]
+ * @param {'overwrite'|'skip-existing'|'newest-wins'} [options.strategy='overwrite']
+ * @param {string} [options.timestampField='updatedAt'] - Field compared by newest-wins
+ *   (ISO date string or epoch milliseconds)
+ * @returns {Promise<{ inserted: number, updated: number, skipped: number, invalid: number }>}
+ */
+export async function importFromJSONFile(
+  file,
+  { strategy = 'overwrite', timestampField = 'updatedAt' } = {}
+) {
+  return guardedWrite(async () => {
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Invalid import strategy "${strategy}", expected one of: ${IMPORT_STRATEGIES.join(', ')}`
+      );
+    }
+
+    let data = file;
+    if (typeof Blob !== 'undefined' && file instanceof Blob) {
+      data = await file.text();
+    }
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (err) {
+        throw new Error('Import file is not valid JSON: ' + err.message);
+      }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Import data must be an object mapping ids to documents');
+    }
+
+    const summary = { inserted: 0, updated: 0, skipped: 0, invalid: 0 };
+    const records = [];
+    for (let [id, value] of Object.entries(data)) {
+      // Encrypted exports hold envelopes; open them with the active key
+      if (isEnvelope(value)) value = JSON.parse(await decryptText(value));
+
+      const isCorrupt = value === null;
+      const hasTimestamp =
+        strategy !== 'newest-wins' ||
+        (typeof value === 'object' && !isCorrupt && !Number.isNaN(parseTimestamp(value[timestampField])));
+
+      if (!id || isCorrupt || !hasTimestamp) {
+        summary.invalid++;
+      } else {
+        records.push([id, value]);
+      }
+    }
+
+    // Existing records are read and compared in the transaction that writes,
+    // so a record saved while the import runs is never silently replaced.
+    // Encryption cannot run inside it, so every candidate is encoded first,
+    // and newest-wins decrypts a snapshot of the stored records beforehand.
+    const ids = records.map(([id]) => id);
+    const stored = await Promise.all(
+      records.map(([, value]) => encodeForStorage(JSON.stringify(value)))
+    );
+
+    for (;;) {
+      const snapshot = strategy === 'newest-wins' ? await readRawMany(ids) : new Map();
+      const current = await parseStoredEntries(snapshot);
+
+      const result = await withConnection((db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(STORE_NAME, 'readwrite');
+          const store = tx.objectStore(STORE_NAME);
+          const counts = { ...summary };
+          const written = [];
+          let changed = false;
+
+          const write = (i) => {
+            store.put(stored[i], ids[i]);
+            written.push(ids[i]);
+          };
+
+          records.forEach(([id, value], i) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+              const raw = request.result;
+              if (raw === undefined) {
+                write(i);
+                counts.inserted++;
+                return;
+              }
+
+              if (strategy === 'skip-existing') {
+                counts.skipped++;
+                return;
+              }
+
+              if (strategy === 'newest-wins') {
+                // Written since the snapshot was decrypted: start over
+                if (raw !== snapshot.get(id)) {
+                  changed = true;
+                  tx.abort();
+                  return;
+                }
+                // Unreadable stored entries (null) lose to the imported record
+                const currentTime = current[id] ? parseTimestamp(current[id][timestampField]) : NaN;
+                if (currentTime >= parseTimestamp(value[timestampField])) {
+                  counts.skipped++;
+                  return;
+                }
+              }
+
+              write(i);
+              counts.updated++;
+            };
+          });
+
+          tx.oncomplete = () => {
+            console.log(
+              `📥 Imported ${counts.inserted} new, ${counts.updated} updated, ` +
+                `${counts.skipped} skipped, ${counts.invalid} invalid`
+            );
+            notifyChanges(written.map((id) => ({ type: 'put', collection: STORE_NAME, id })));
+            resolve(counts);
+          };
+          tx.onabort = () => {
+            if (changed) resolve(null);
+            else reject(new Error('Import aborted, no changes were made: ' + (tx.error && tx.error.message)));
+          };
+        })
+      );
+      if (result) return result;
+    }
+  });
+}
+
+
 const run = async () => {
+  subscribe('item:*', (change) =>
+    console.log(`🔔 ${change.type} ${change.collection}/${change.id} (${change.source})`)
+  );
+
   await saveJSON('item:001', JSON.stringify({ label: 'Example', value: 123 }));
   await saveJSON('item:002', JSON.stringify({ label: 'Another', value: 456 }));
 
+  defineCollection('notes', { indexes: ['label', 'meta.createdAt'] });
+  await putDocument('notes', 'item:001', { label: 'Example', meta: { createdAt: Date.now() } });
+  await putDocument('notes', 'item:002', { label: 'Another', meta: { createdAt: Date.now() } });
+
+  const firstPage = await query('notes', { prefix: 'item:', limit: 1 });
+  const secondPage = await query('notes', { prefix: 'item:', limit: 1, after: firstPage.nextCursor });
+  console.log('📄 Paged notes:', firstPage.items, secondPage.items);
+
+  const recent = await query('notes', { index: 'meta.createdAt', direction: 'desc', limit: 10 });
+  console.log('🕒 Most recent notes:', recent.items);
+
+  // Shipped in a later release: add a field to every stored note
+  registerMigration({
+    version: 1,
+    name: 'notes-add-archived-flag',
+    async upgrade({ createIndex, rewriteDocuments }) {
+      await rewriteDocuments('notes', (note) => ({ ...note, archived: false }));
+      createIndex('notes', 'archived');
+    },
+  });
+  const { applied } = await runMigrations();
+  console.log('🔄 Migrations applied this session:', applied);
+
   await exportAllToJSONFile();
 };
 
-run();
+// Only run the demo in a browser page, so the module can be imported elsewhere
+if (typeof document !== 'undefined') run();
@@ -0,0 +1,453 @@
+/**
+ * Tests for indexed-db-json-storage.mjs, run in Node against fake-indexeddb
+ *
+ * Run with: node --test docs/browser/
+ */
+
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDecipheriv, pbkdf2Sync } from 'crypto';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+
+globalThis.IDBKeyRange = IDBKeyRange;
+
+// The module logs its writes to stdout, which the test runner also reads its
+// results from; Node 20 can fail to parse the two when they interleave
+mock.method(console, 'log', () => {});
+
+// Change notifications post to a BroadcastChannel on every write; don't let the
+// channel keep the test process alive
+globalThis.BroadcastChannel = class extends BroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+};
+
+let instance = 0;
+
+// A fresh copy of the module: its connection, collections and migrations are
+// module state, so each copy behaves like a newly loaded page
+function loadStore() {
+  return import(`./indexed-db-json-storage.mjs?instance=${++instance}`);
+}
+
+// A fresh copy of the module on a fresh, empty IndexedDB
+function freshStore() {
+  globalThis.indexedDB = new IDBFactory();
+  return loadStore();
+}
+
+async function allPages(store, collection, options) {
+  const pages = [];
+  let page = await store.query(collection, options);
+  pages.push(page.items.map(({ id }) => id));
+  while (page.nextCursor) {
+    page = await store.query(collection, { ...options, after: page.nextCursor });
+    pages.push(page.items.map(({ id }) => id));
+  }
+  return pages;
+}
+
+describe('collections and query', () => {
+  test('pages by id prefix, index range and direction', async () => {
+    const store = await freshStore();
+    store.defineCollection('notes', { indexes: ['label', { path: 'meta.rank' }] });
+    for (let i = 0; i < 5; i++) {
+      await store.putDocument('notes', `item:${i}`, { label: i % 2 ? 'odd' : 'even', meta: { rank: 10 - i } });
+    }
+    await store.putDocument('notes', 'other:1', { label: 'odd', meta: { rank: 0 } });
+
+    assert.deepEqual(await allPages(store, 'notes', { prefix: 'item:', limit: 2 }), [
+      ['item:0', 'item:1'],
+      ['item:2', 'item:3'],
+      ['item:4'],
+    ]);
+    assert.deepEqual(await allPages(store, 'notes', { index: 'label', range: { eq: 'odd' }, limit: 2 }), [
+      ['item:1', 'item:3'],
+      ['other:1'],
+    ]);
+    const { items } = await store.query('notes', { index: 'meta.rank', range: { gt: 6, lte: 9 }, direction: 'desc' });
+    assert.deepEqual(items.map(({ id }) => id), ['item:1', 'item:2', 'item:3']);
+
+    await assert.rejects(store.query('notes', { index: 'missing' }), /has no index "missing"/);
+    await assert.rejects(store.query('unknown'), /Unknown collection "unknown"/);
+    store.closeDB();
+  });
+
+  test('resumes cursors on Date and array keys', async () => {
+    const store = await freshStore();
+    store.defineCollection('events', { indexes: ['at'] });
+    for (let day = 1; day <= 5; day++) {
+      await store.putDocument('events', [2024, day], { at: new Date(Date.UTC(2024, 0, day)) });
+    }
+
+    const byDate = await allPages(store, 'events', { index: 'at', direction: 'desc', limit: 2 });
+    assert.deepEqual(byDate.map((page) => page.map(([, day]) => day)), [[5, 4], [3, 2], [1]]);
+
+    const byKey = await allPages(store, 'events', { range: { gte: [2024, 2] }, limit: 3 });
+    assert.deepEqual(byKey.map((page) => page.map(([, day]) => day)), [[2, 3, 4], [5]]);
+
+    await assert.rejects(store.query('events', { after: 'not-a-cursor' }), /Invalid pagination cursor/);
+    store.closeDB();
+  });
+
+  test('settles on an empty limit and on cursors with invalid keys', async () => {
+    const store = await freshStore();
+    store.defineCollection('notes');
+    await store.putDocument('notes', 'a', { n: 1 });
+
+    assert.deepEqual(await store.query('notes', { limit: 0 }), { items: [], nextCursor: null });
+    assert.deepEqual(await store.query('notes', { limit: -1 }), { items: [], nextCursor: null });
+
+    // Decodes, but NaN is not a valid key, so comparing against it throws
+    const nanCursor = btoa(encodeURIComponent(JSON.stringify({ key: { number: 'NaN' }, primaryKey: { number: 'NaN' } })));
+    await assert.rejects(store.query('notes', { after: nanCursor }), { name: 'DataError' });
+    store.closeDB();
+  });
+});
+
+describe('migrations', () => {
+  const addArchivedFlag = {
+    version: 1,
+    name: 'notes-add-archived-flag',
+    async upgrade({ createIndex, rewriteDocuments, DELETE }) {
+      await rewriteDocuments('notes', (note) => (note.drop ? DELETE : { ...note, archived: 0 }));
+      createIndex('notes', 'archived');
+    },
+  };
+
+  test('runs pending steps once, in version order, inside the upgrade', async () => {
+    let store = await freshStore();
+    store.defineCollection('notes');
+    await store.putDocument('notes', 'a', { label: 'keep' });
+    await store.putDocument('notes', 'b', { drop: true });
+
+    const order = [];
+    store.registerMigration({ version: 2, upgrade: () => order.push(2) });
+    store.registerMigration({ ...addArchivedFlag, upgrade: (helpers) => (order.push(1), addArchivedFlag.upgrade(helpers)) });
+    assert.throws(() => store.registerMigration({ version: 2, upgrade() {} }), /already registered/);
+
+    const report = await store.runMigrations();
+    assert.deepEqual(order, [1, 2]);
+    assert.deepEqual(report.applied, [
+      { version: 1, name: 'notes-add-archived-flag' },
+      { version: 2, name: 'migration-2' },
+    ]);
+    assert.equal(report.toVersion, report.fromVersion + 1);
+    assert.deepEqual(await store.getDocument('notes', 'a'), { label: 'keep', archived: 0 });
+    assert.equal(await store.getDocument('notes', 'b'), undefined);
+    const { items } = await store.query('notes', { index: 'archived', range: { eq: 0 } });
+    assert.deepEqual(items.map(({ id }) => id), ['a']);
+    store.closeDB();
+
+    // A reload registers the same steps again; they are already recorded
+    store = await loadStore();
+    store.defineCollection('notes', { indexes: ['archived'] });
+    store.registerMigration({ ...addArchivedFlag, upgrade: () => assert.fail('ran twice') });
+    assert.deepEqual((await store.runMigrations()).applied, []);
+    assert.deepEqual((await store.getAppliedMigrations()).map(({ version }) => version), [1, 2]);
+    store.closeDB();
+  });
+
+  test('a failing step aborts the whole upgrade', async () => {
+    const store = await freshStore();
+    await store.saveJSON('doc', '{"v":1}');
+    store.registerMigration({
+      version: 1,
+      async upgrade({ rewriteDocuments }) {
+        await rewriteDocuments('documents', () => '{"v":2}');
+        throw new Error('boom');
+      },
+    });
+
+    await assert.rejects(store.runMigrations(), /IndexedDB migration failed: boom/);
+    store.closeDB();
+
+    const reloaded = await loadStore();
+    assert.deepEqual(await reloaded.loadJSON('doc'), { v: 1 });
+    assert.deepEqual(await reloaded.getAppliedMigrations(), []);
+    reloaded.closeDB();
+  });
+
+  test('validates registrations', async () => {
+    const store = await freshStore();
+    assert.throws(() => store.registerMigration({ version: 0, upgrade() {} }), /positive integer/);
+    assert.throws(() => store.registerMigration({ version: 1 }), /requires an upgrade function/);
+  });
+});
+
+describe('importFromJSONFile', () => {
+  test('restores any JSON value and skips the null written for corrupt entries', async () => {
+    const store = await freshStore();
+    const summary = await store.importFromJSONFile(
+      JSON.stringify({ n: 42, s: 'text', list: [1, 2], flag: false, doc: { a: 1 }, broken: null })
+    );
+
+    assert.deepEqual(summary, { inserted: 5, updated: 0, skipped: 0, invalid: 1 });
+    assert.deepEqual(await store.loadAllJSON(), { doc: { a: 1 }, flag: false, list: [1, 2], n: 42, s: 'text' });
+    store.closeDB();
+  });
+
+  test('round-trips saveJSON values through an export-shaped backup', async () => {
+    const store = await freshStore();
+    await store.saveJSON('n', '42');
+    await store.saveJSON('doc', '{"a":1}');
+    const backup = await store.loadAllJSON();
+
+    const restored = await freshStore();
+    assert.deepEqual(await restored.importFromJSONFile(backup), { inserted: 2, updated: 0, skipped: 0, invalid: 0 });
+    assert.equal(await restored.loadJSON('n'), 42);
+    store.closeDB();
+    restored.closeDB();
+  });
+
+  test('applies overwrite, skip-existing and newest-wins', async () => {
+    const store = await freshStore();
+    await store.saveMany({
+      a: { v: 'old', updatedAt: '2024-01-01T00:00:00Z' },
+      b: { v: 'new', updatedAt: '2024-06-01T00:00:00Z' },
+    });
+    const backup = {
+      a: { v: 'import', updatedAt: '2024-03-01T00:00:00Z' },
+      b: { v: 'import', updatedAt: '2024-03-01T00:00:00Z' },
+      c: { v: 'import', updatedAt: 1700000000000 },
+      d: 'no timestamp',
+    };
+
+    assert.deepEqual(await store.importFromJSONFile(backup, { strategy: 'newest-wins' }), {
+      inserted: 1, updated: 1, skipped: 1, invalid: 1,
+    });
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(await store.loadAllJSON()).map(([id, { v }]) => [id, v])),
+      { a: 'import', b: 'new', c: 'import' }
+    );
+
+    assert.deepEqual(await store.importFromJSONFile({ a: 1, e: 2 }, { strategy: 'skip-existing' }), {
+      inserted: 1, updated: 0, skipped: 1, invalid: 0,
+    });
+    assert.deepEqual(await store.importFromJSONFile({ a: 1 }), { inserted: 0, updated: 1, skipped: 0, invalid: 0 });
+    assert.equal(await store.loadJSON('a'), 1);
+
+    await assert.rejects(store.importFromJSONFile('[1]'), /must be an object mapping ids/);
+    await assert.rejects(store.importFromJSONFile({}, { strategy: 'merge' }), /Invalid import strategy "merge"/);
+    store.closeDB();
+  });
+
+  test('decides against records written while it runs', async () => {
+    const store = await freshStore();
+    const skipping = store.importFromJSONFile({ a: { v: 'import' } }, { strategy: 'skip-existing' });
+    await store.saveJSON('a', JSON.stringify({ v: 'saved' }));
+    assert.deepEqual(await skipping, { inserted: 0, updated: 0, skipped: 1, invalid: 0 });
+
+    const backup = { a: { v: 'import', updatedAt: '2024-03-01T00:00:00Z' } };
+    const newest = store.importFromJSONFile(backup, { strategy: 'newest-wins' });
+    await store.saveJSON('a', JSON.stringify({ v: 'saved', updatedAt: '2024-06-01T00:00:00Z' }));
+    assert.deepEqual(await newest, { inserted: 0, updated: 0, skipped: 1, invalid: 0 });
+
+    assert.equal((await store.loadJSON('a')).v, 'saved');
+    store.closeDB();
+  });
+});
+
+describe('shared connection', () => {
+  test('a schema change waits for callers already handed the old connection', async () => {
+    const store = await freshStore();
+    await store.saveMany({ x: { v: 1 }, y: { v: 2 } });
+
+    // Both reads are handed the current connection before defineCollection
+    // replaces it, and open their transactions only after that
+    const reads = [store.loadJSON('x'), store.loadMany(['x', 'y'])];
+    store.defineCollection('late');
+    const write = store.putDocument('late', 'k', { v: 3 });
+
+    assert.deepEqual(await Promise.all(reads), [{ v: 1 }, { x: { v: 1 }, y: { v: 2 } }]);
+    await write;
+    assert.deepEqual(await store.getDocument('late', 'k'), { v: 3 });
+    store.closeDB();
+  });
+
+  test('reuses one connection until the schema changes', async () => {
+    const store = await freshStore();
+    const first = await store.openDB();
+    await store.saveJSON('a', '1');
+    assert.equal(await store.openDB(), first);
+
+    store.defineCollection('more');
+    const second = await store.openDB();
+    assert.notEqual(second, first);
+    assert.ok(second.objectStoreNames.contains('more'));
+    store.closeDB();
+  });
+});
+
+describe('subscribe', () => {
+  // Resolve with the first `count` changes a subscription reports
+  function nextChanges(store, pattern, count, options) {
+    return new Promise((resolve, reject) => {
+      const changes = [];
+      const timer = setTimeout(() => reject(new Error(`Only saw ${changes.length} change(s)`)), 2000);
+      const unsubscribe = store.subscribe(pattern, (change) => {
+        changes.push(change);
+        if (changes.length === count) {
+          clearTimeout(timer);
+          unsubscribe();
+          resolve(changes);
+        }
+      }, options);
+    });
+  }
+
+  test('reports committed puts and deletes matching an id, prefix or collection', async () => {
+    const store = await freshStore();
+    store.defineCollection('notes');
+    const items = nextChanges(store, 'item:*', 3);
+    const exact = nextChanges(store, 'item:2', 1);
+    const notes = nextChanges(store, '*', 1, { collection: 'notes' });
+
+    await store.saveJSON('other', '{}');
+    await store.saveMany({ 'item:1': {}, 'item:2': {} });
+    await store.deleteMany(['item:1']);
+    await store.putDocument('notes', 'n1', {});
+
+    assert.deepEqual(await items, [
+      { type: 'put', collection: 'documents', id: 'item:1', source: 'local' },
+      { type: 'put', collection: 'documents', id: 'item:2', source: 'local' },
+      { type: 'delete', collection: 'documents', id: 'item:1', source: 'local' },
+    ]);
+    assert.equal((await exact)[0].id, 'item:2');
+    assert.deepEqual(await notes, [{ type: 'put', collection: 'notes', id: 'n1', source: 'local' }]);
+    store.closeDB();
+  });
+
+  test('delivers changes to other tabs as remote', async () => {
+    const tab = await freshStore();
+    const otherTab = await loadStore();
+    const remote = nextChanges(otherTab, '*', 1);
+
+    await tab.saveJSON('shared', '{"v":1}');
+
+    assert.deepEqual(await remote, [{ type: 'put', collection: 'documents', id: 'shared', source: 'remote' }]);
+    assert.deepEqual(await otherTab.loadJSON('shared'), { v: 1 });
+    tab.closeDB();
+    otherTab.closeDB();
+  });
+
+  test('keeps notifying when a subscriber throws', async (t) => {
+    const store = await freshStore();
+    t.mock.method(console, 'error', () => {});
+    const unsubscribe = store.subscribe('*', () => {
+      throw new Error('subscriber bug');
+    });
+    const changes = nextChanges(store, '*', 1);
+
+    await store.saveJSON('a', '1');
+    assert.equal((await changes)[0].id, 'a');
+    unsubscribe();
+    store.closeDB();
+  });
+});
+
+describe('encryption at rest', () => {
+  async function rawValue(store, id) {
+    const db = await store.openDB();
+    return new Promise((resolve) => {
+      const request = db.transaction('documents').objectStore('documents').get(id);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  test('stores envelopes and checks the passphrase on reload', async () => {
+    const store = await freshStore();
+    await store.enableEncryption('secret');
+    await store.saveJSON('a', '{"v":1}');
+
+    const envelope = JSON.parse(await rawValue(store, 'a'));
+    assert.deepEqual(Object.keys(envelope), ['salt', 'iv', 'authTag', 'data']);
+    store.lockEncryption();
+    await assert.rejects(store.loadJSON('a'), /call enableEncryption/);
+    store.closeDB();
+
+    const reloaded = await loadStore();
+    await assert.rejects(reloaded.enableEncryption('wrong'), /Incorrect passphrase/);
+    await reloaded.enableEncryption('secret');
+    assert.deepEqual(await reloaded.loadJSON('a'), { v: 1 });
+    reloaded.closeDB();
+  });
+
+  test('envelopes decrypt with the Node snippet in docs/encryption/AES-256-GCM', async () => {
+    const store = await freshStore();
+    await store.enableEncryption('secret');
+    await store.saveJSON('a', JSON.stringify({ label: 'café', n: 1 }));
+
+    const { salt, iv, authTag, data } = JSON.parse(await rawValue(store, 'a'));
+    const key = pbkdf2Sync('secret', Buffer.from(salt, 'hex'), 100000, 32, 'sha512');
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    const decrypted = decipher.update(data, 'hex', 'utf8') + decipher.final('utf8');
+
+    assert.deepEqual(JSON.parse(decrypted), { label: 'café', n: 1 });
+    store.closeDB();
+  });
+
+  test('imports an encrypted export into a database with another salt', async () => {
+    const source = await freshStore();
+    await source.enableEncryption('secret');
+    await source.saveJSON('a', '{"v":1}');
+    const exported = { a: JSON.parse(await rawValue(source, 'a')) };
+    source.closeDB();
+
+    const target = await freshStore();
+    await target.enableEncryption('secret');
+    assert.deepEqual(await target.importFromJSONFile(exported), { inserted: 1, updated: 0, skipped: 0, invalid: 0 });
+    assert.deepEqual(await target.loadJSON('a'), { v: 1 });
+    assert.notEqual(JSON.parse(await rawValue(target, 'a')).salt, exported.a.salt);
+    target.closeDB();
+
+    const wrongPassphrase = await freshStore();
+    await wrongPassphrase.enableEncryption('other');
+    await assert.rejects(wrongPassphrase.importFromJSONFile(exported), /Decryption failed/);
+    wrongPassphrase.closeDB();
+  });
+
+  test('newest-wins starts over when a record changes while it decrypts', async (t) => {
+    const store = await freshStore();
+    await store.enableEncryption('secret');
+    await store.saveJSON('a', JSON.stringify({ v: 'old', updatedAt: '2024-01-01T00:00:00Z' }));
+
+    // Save a newer record while the import decrypts what it read
+    const decrypt = crypto.subtle.decrypt.bind(crypto.subtle);
+    let saving;
+    t.mock.method(crypto.subtle, 'decrypt', async (...args) => {
+      saving ||= store.saveJSON('a', JSON.stringify({ v: 'saved', updatedAt: '2024-06-01T00:00:00Z' }));
+      await saving;
+      return decrypt(...args);
+    });
+
+    const backup = { a: { v: 'import', updatedAt: '2024-03-01T00:00:00Z' } };
+    assert.deepEqual(await store.importFromJSONFile(backup, { strategy: 'newest-wins' }), {
+      inserted: 0, updated: 0, skipped: 1, invalid: 0,
+    });
+    assert.equal((await store.loadJSON('a')).v, 'saved');
+    store.closeDB();
+  });
+
+  test('rotation neither loses nor strands writes made while it runs', async () => {
+    const store = await freshStore();
+    await store.enableEncryption('old');
+    await store.saveMany({ a: { v: 1 }, b: { v: 2 } });
+
+    const rotation = store.rotateEncryptionKey('new');
+    const writes = [store.saveJSON('a', '{"v":10}'), store.saveJSON('c', '{"v":3}'), store.deleteMany(['b'])];
+    await assert.rejects(store.rotateEncryptionKey('newer'), /already running/);
+    assert.equal(await rotation, 2);
+    await Promise.all(writes);
+    store.closeDB();
+
+    const reloaded = await loadStore();
+    await assert.rejects(reloaded.enableEncryption('old'), /Incorrect passphrase/);
+    await reloaded.enableEncryption('new');
+    assert.deepEqual(await reloaded.loadAllJSON(), { a: { v: 10 }, c: { v: 3 } });
+    reloaded.closeDB();
+  });
+});
@@ -1,5 +1,44 @@
 import crypto from "crypto";
-class ArrayObjectDeduplicator {
+
+const SURVIVOR_STRATEGIES = ["first", "last", "most-complete", "newest", "merge"];
+const NUMERIC_STRING = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Normalization profiles applied before hashing. Paths are dotted and skip array
+ * indexes, so "items.sku" names the sku of every element of items.
+ * - nullAsAbsent: drop object keys whose value is null
+ * - trimStrings / caseFold: trim and lower-case string values
+ * - coerceNumbers: "30" hashes like 30
+ * - setPaths: arrays compared as sets (order and repeats ignored)
+ * - ignorePaths: volatile fields left out of the hash, e.g. ["id", "updatedAt"]
+ * - algorithm: any crypto hash name, e.g. "sha256", "sha1", "md5"
+ */
+export const NORMALIZATION_PROFILES = {
+  // Exact content, key order ignored: the original generateHashId behaviour
+  strict: {
+    nullAsAbsent: false,
+    trimStrings: false,
+    caseFold: false,
+    coerceNumbers: false,
+    setPaths: [],
+    ignorePaths: [],
+    algorithm: "sha256",
+  },
+  loose: {
+    nullAsAbsent: true,
+    trimStrings: true,
+    caseFold: true,
+    coerceNumbers: true,
+    setPaths: [],
+    ignorePaths: [],
+    algorithm: "sha256",
+  },
+};
+
+// Resolved profiles with path lookups as Sets, keyed by profile object
+const compiledProfiles = new WeakMap();
+
+export default class ArrayObjectDeduplicator {
   /**
    * Recursively sort keys in object for stable hashing
    */
@@ -18,25 +57,113 @@ class ArrayObjectDeduplicator {
   }
 
   /**
-   * Generate SHA-256 hash ID from sorted object
+   * Resolve a profile name ("strict", "loose") or options object; objects may
+   * set `extends` to start from a named profile
+   */
+  static resolveProfile(profile = "strict") {
+    if (typeof profile === "string") {
+      if (!Object.hasOwn(NORMALIZATION_PROFILES, profile)) {
+        throw new Error(
+          `Unknown normalization profile "${profile}". Use: ${Object.keys(NORMALIZATION_PROFILES).join(", ")}`
+        );
+      }
+      return NORMALIZATION_PROFILES[profile];
+    }
+
+    const { extends: base = "strict", ...overrides } = profile;
+    const resolved = { ...this.resolveProfile(base), ...overrides };
+    if (!crypto.getHashes().includes(resolved.algorithm)) {
+      throw new Error(`Unsupported hash algorithm "${resolved.algorithm}"`);
+    }
+    return resolved;
+  }
+
+  static compileProfile(profile = "strict") {
+    const cacheKey = typeof profile === "string" ? this.resolveProfile(profile) : profile;
+    if (cacheKey && compiledProfiles.has(cacheKey)) return compiledProfiles.get(cacheKey);
+
+    const options = this.resolveProfile(profile);
+    const compiled = {
+      ...options,
+      setPaths: new Set(options.setPaths),
+      ignorePaths: new Set(options.ignorePaths),
+    };
+    compiledProfiles.set(cacheKey, compiled);
+    return compiled;
+  }
+
+  /**
+   * Apply a normalization profile; keys are sorted as in sortObjectKeys
+   */
+  static normalize(value, profile = "strict") {
+    return this.normalizeValue(value, this.compileProfile(profile), "");
+  }
+
+  static normalizeValue(value, options, path) {
+    if (typeof value === "string") {
+      let text = value;
+      if (options.trimStrings) text = text.trim();
+      if (options.caseFold) text = text.toLowerCase();
+      if (options.coerceNumbers && NUMERIC_STRING.test(text.trim())) return Number(text);
+      return text;
+    }
+
+    if (Array.isArray(value)) {
+      const items = value.map((item) => this.normalizeValue(item, options, path));
+      if (!options.setPaths.has(path)) return items;
+
+      const unique = new Map(items.map((item) => [JSON.stringify(item), item]));
+      return [...unique.keys()].sort().map((key) => unique.get(key));
+    }
+
+    if (value !== null && typeof value === "object") {
+      return Object.keys(value)
+        .sort()
+        .reduce((acc, key) => {
+          const childPath = path ? `${path}.${key}` : key;
+          if (options.ignorePaths.has(childPath)) return acc;
+
+          const normalized = this.normalizeValue(value[key], options, childPath);
+          if (options.nullAsAbsent && (normalized === null || normalized === undefined)) return acc;
+          acc[key] = normalized;
+          return acc;
+        }, {});
+    }
+
+    return value;
+  }
+
+  /**
+   * Hash an object after normalizing it with a profile
+   * @param {*} obj
+   * @param {string|Object} [profile="strict"] - Profile name or options, see NORMALIZATION_PROFILES
+   * @returns {string} Hex digest
+   */
+  static fingerprint(obj, profile = "strict") {
+    const { algorithm } = this.compileProfile(profile);
+    const jsonString = JSON.stringify(this.normalize(obj, profile));
+    return crypto.createHash(algorithm).update(jsonString).digest("hex");
+  }
+
+  /**
+   * Generate a hash ID from the sorted object (SHA-256 under the default strict profile)
    */
-  static generateHashId(obj) {
-    const sorted = this.sortObjectKeys(obj);
-    const jsonString = JSON.stringify(sorted);
-    return crypto.createHash("sha256").update(jsonString).digest("hex");
+  static generateHashId(obj, profile = "strict") {
+    return this.fingerprint(obj, profile);
   }
 
   /**
    * Remove duplicate objects based on content hash
    * @param {Array<Object>} inputArr
+   * @param {string|Object} [profile="strict"] - Normalization applied before hashing
    * @returns {Array<Object>} Deduplicated array
    */
-  static removeDuplicates(inputArr) {
+  static removeDuplicates(inputArr, profile = "strict") {
     const seen = new Set();
     const result = [];
 
     for (const obj of inputArr) {
-      const hash = this.generateHashId(obj);
+      const hash = this.generateHashId(obj, profile);
       if (!seen.has(hash)) {
         seen.add(hash);
         result.push(obj);
@@ -45,6 +172,206 @@ class ArrayObjectDeduplicator {
 
     return result;
   }
+
+  /**
+   * Read a dotted path ("address.city") from an object
+   */
+  static getPath(obj, path) {
+    return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  }
+
+  static isBlank(value) {
+    return value === undefined || value === null || value === "";
+  }
+
+  /**
+   * Normalize key specs: "email" or { path, ignoreCase, trim, fuzzy }
+   */
+  static normalizeKeys(keys, { ignoreCase = false, trim = true } = {}) {
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error("dedupe requires at least one key path");
+    }
+    return keys.map((key) => {
+      const spec = typeof key === "string" ? { path: key } : { ...key };
+      if (!spec.path) throw new Error("Each dedupe key needs a path");
+      if (spec.fuzzy !== undefined && !(spec.fuzzy > 0 && spec.fuzzy <= 1)) {
+        throw new Error(`Fuzzy threshold for "${spec.path}" must be between 0 and 1`);
+      }
+      return { ignoreCase, trim, ...spec };
+    });
+  }
+
+  static keyValue(obj, spec) {
+    let value = this.getPath(obj, spec.path);
+    if (typeof value === "string") {
+      if (spec.trim) value = value.trim();
+      if (spec.ignoreCase) value = value.toLowerCase();
+    }
+    return value;
+  }
+
+  /**
+   * Similarity of two strings from 0 to 1, based on Levenshtein distance
+   */
+  static similarity(a, b) {
+    a = String(a);
+    b = String(b);
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Count non-blank leaf values, used by the most-complete strategy
+   */
+  static countFilled(value) {
+    if (Array.isArray(value)) {
+      return value.reduce((sum, item) => sum + this.countFilled(item), 0);
+    }
+    if (value !== null && typeof value === "object") {
+      return Object.values(value).reduce((sum, item) => sum + this.countFilled(item), 0);
+    }
+    return this.isBlank(value) ? 0 : 1;
+  }
+
+  /**
+   * Fill blank fields of target from source, recursing into nested objects
+   */
+  static mergeInto(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      const current = target[key];
+      if (this.isBlank(current)) {
+        target[key] = structuredClone(value);
+      } else if (
+        current && typeof current === "object" && !Array.isArray(current) &&
+        value && typeof value === "object" && !Array.isArray(value)
+      ) {
+        this.mergeInto(current, value);
+      }
+    }
+    return target;
+  }
+
+  static pickSurvivor(members, strategy, newestField) {
+    switch (strategy) {
+      case "last":
+        return members[members.length - 1];
+      case "most-complete":
+        return members.reduce((best, member) =>
+          this.countFilled(member.record) > this.countFilled(best.record) ? member : best
+        );
+      case "newest": {
+        const time = ({ record }) => {
+          const value = this.getPath(record, newestField);
+          const parsed = typeof value === "number" ? value : Date.parse(value);
+          return Number.isNaN(parsed) ? -Infinity : parsed;
+        };
+        return members.reduce((best, member) => (time(member) > time(best) ? member : best));
+      }
+      default:
+        return members[0];
+    }
+  }
+
+  /**
+   * Deduplicate by key paths instead of full content
+   * @param {Array<Object>} inputArr
+   * @param {Object} options
+   * @param {Array<string|Object>} options.keys - Paths that identify a record, e.g. ["email"]
+   *   or ["name", "dob"]. Object form: { path, ignoreCase, trim, fuzzy } where fuzzy is a
+   *   0-1 similarity threshold for near-matching strings ("Jon Smith" ~ "John Smith").
+   * @param {boolean} [options.ignoreCase=false] - Default for string keys
+   * @param {boolean} [options.trim=true] - Default for string keys
+   * @param {string} [options.survivor="first"] - first | last | most-complete | newest | merge
+   * @param {string} [options.newestField="updatedAt"] - Compared by the newest strategy
+   * @param {string|Object} [options.profile="strict"] - Normalization applied to exact key values
+   * @returns {{ records: Array<Object>, groups: Array<{ index: number, survivor: number, sources: Array<number> }> }}
+   *   groups[i] lists the input indexes collapsed into records[i]. Records with every key blank
+   *   are never treated as duplicates.
+   */
+  static dedupe(
+    inputArr,
+    { keys, ignoreCase, trim, survivor = "first", newestField = "updatedAt", profile = "strict" } = {}
+  ) {
+    if (!SURVIVOR_STRATEGIES.includes(survivor)) {
+      throw new Error(`Unknown survivor strategy "${survivor}". Use: ${SURVIVOR_STRATEGIES.join(", ")}`);
+    }
+
+    const specs = this.normalizeKeys(keys, { ignoreCase, trim });
+    const exactSpecs = specs.filter((spec) => spec.fuzzy === undefined);
+    const fuzzySpecs = specs.filter((spec) => spec.fuzzy !== undefined);
+
+    // Exact keys bucket records by hash; fuzzy keys are compared within a bucket
+    const buckets = new Map();
+    const groups = [];
+
+    inputArr.forEach((record, index) => {
+      const values = specs.map((spec) => this.keyValue(record, spec));
+      if (values.every((value) => this.isBlank(value))) {
+        groups.push([{ record, index }]);
+        return;
+      }
+
+      const bucketKey = this.generateHashId(
+        exactSpecs.map((spec) => this.keyValue(record, spec)),
+        profile
+      );
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+      const bucket = buckets.get(bucketKey);
+
+      const match = bucket.find((group) =>
+        fuzzySpecs.every((spec) => {
+          const a = this.keyValue(group[0].record, spec);
+          const b = this.keyValue(record, spec);
+          if (this.isBlank(a) || this.isBlank(b)) return this.isBlank(a) && this.isBlank(b);
+          return this.similarity(a, b) >= spec.fuzzy;
+        })
+      );
+
+      if (match) {
+        match.push({ record, index });
+      } else {
+        const group = [{ record, index }];
+        bucket.push(group);
+        groups.push(group);
+      }
+    });
+
+    const records = [];
+    const report = [];
+    groups.forEach((members, outputIndex) => {
+      let kept;
+      if (survivor === "merge") {
+        kept = members[0];
+        records.push(
+          members.slice(1).reduce((merged, { record }) => this.mergeInto(merged, record), structuredClone(kept.record))
+        );
+      } else {
+        kept = this.pickSurvivor(members, survivor, newestField);
+        records.push(kept.record);
+      }
+      report.push({ index: outputIndex, survivor: kept.index, sources: members.map(({ index }) => index) });
+    });
+
+    return { records, groups: report };
+  }
+}
+
+/**
+ * Standalone fingerprint of an object under a normalization profile
+ */
+export function fingerprint(obj, profile = "strict") {
+  return ArrayObjectDeduplicator.fingerprint(obj, profile);
 }
 
 /*```
@@ -56,6 +383,33 @@ const input = [
   { name: 'Alice', age: 30, extra: null },
 ];
 
-const uniqueObjects = ObjectDeduplicator.removeDuplicates(input);
+const uniqueObjects = ArrayObjectDeduplicator.removeDuplicates(input);
 console.log(uniqueObjects);
+
+// The loose profile also treats the { extra: null } record as a duplicate
+ArrayObjectDeduplicator.removeDuplicates(input, 'loose');
+
+// Ignore volatile fields and tag order; hash with SHA-1
+const profile = { extends: 'loose', ignorePaths: ['id', 'updatedAt'], setPaths: ['tags'], algorithm: 'sha1' };
+fingerprint({ id: 1, name: ' Alice ', age: '30', tags: ['b', 'a'] }, profile) ===
+  fingerprint({ id: 2, name: 'alice', age: 30, tags: ['a', 'b', 'a'], updatedAt: '2024-01-01' }, profile); // true
+
+// Dedupe CRM contacts by email (case-insensitive), keeping the newest record
+const contacts = [
+  { email: 'Ann@Example.com', name: 'Ann', updatedAt: '2024-01-01' },
+  { email: 'ann@example.com ', name: 'Ann Lee', phone: '555-0100', updatedAt: '2024-03-01' },
+  { email: 'bob@example.com', name: 'Bob' },
+];
+const { records, groups } = ArrayObjectDeduplicator.dedupe(contacts, {
+  keys: ['email'],
+  ignoreCase: true,
+  survivor: 'newest',
+});
+// groups: [{ index: 0, survivor: 1, sources: [0, 1] }, { index: 1, survivor: 2, sources: [2] }]
+
+// Same person across name spellings and birth date; merge fields from all duplicates
+ArrayObjectDeduplicator.dedupe(people, {
+  keys: [{ path: 'name', fuzzy: 0.85, ignoreCase: true }, 'dob'],
+  survivor: 'merge',
+});
 ```*/
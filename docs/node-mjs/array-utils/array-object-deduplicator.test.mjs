@@ -0,0 +1,110 @@
+/**
+ * Tests for array-object-deduplicator.mjs
+ *
+ * Run with: node --test docs/node-mjs/array-utils/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import ArrayObjectDeduplicator from "./array-object-deduplicator.mjs";
+
+describe("ArrayObjectDeduplicator.dedupe", () => {
+  const contacts = [
+    { email: "Ann@Example.com", name: "Ann", updatedAt: "2024-01-01" },
+    { email: "ann@example.com ", name: "Ann Lee", phone: "555-0100", updatedAt: "2024-03-01" },
+    { email: "bob@example.com", name: "Bob" },
+    { email: "", name: "No email" },
+    { name: "Also no email" },
+  ];
+
+  test("groups by key path and keeps the first record by default", () => {
+    const { records, groups } = ArrayObjectDeduplicator.dedupe(contacts, { keys: ["email"], ignoreCase: true });
+
+    assert.deepEqual(records.map(({ name }) => name), ["Ann", "Bob", "No email", "Also no email"]);
+    assert.deepEqual(groups, [
+      { index: 0, survivor: 0, sources: [0, 1] },
+      { index: 1, survivor: 2, sources: [2] },
+      { index: 2, survivor: 3, sources: [3] },
+      { index: 3, survivor: 4, sources: [4] },
+    ]);
+  });
+
+  test("keys are case-sensitive unless ignoreCase is set", () => {
+    const { records } = ArrayObjectDeduplicator.dedupe(contacts, { keys: ["email"] });
+    assert.equal(records.length, 5);
+  });
+
+  test("picks the last, newest or most complete survivor", () => {
+    const survivorName = (survivor) =>
+      ArrayObjectDeduplicator.dedupe(contacts.slice(0, 2), { keys: ["email"], ignoreCase: true, survivor }).records[0].name;
+
+    assert.equal(survivorName("last"), "Ann Lee");
+    assert.equal(survivorName("newest"), "Ann Lee");
+    assert.equal(survivorName("most-complete"), "Ann Lee");
+  });
+
+  test("merge fills blank fields of the first record from its duplicates", () => {
+    const { records } = ArrayObjectDeduplicator.dedupe(
+      [
+        { id: 1, name: "Ann", address: { city: "", zip: "10001" } },
+        { id: 1, name: "Ann L.", phone: "555", address: { city: "NYC" } },
+      ],
+      { keys: ["id"], survivor: "merge" }
+    );
+    assert.deepEqual(records, [{ id: 1, name: "Ann", phone: "555", address: { city: "NYC", zip: "10001" } }]);
+  });
+
+  test("matches fuzzy keys within records sharing the exact keys", () => {
+    const people = [
+      { name: "John Smith", dob: "1990-01-01" },
+      { name: "Jon Smith", dob: "1990-01-01" },
+      { name: "Jon Smith", dob: "1991-01-01" },
+      { name: "Jane Doe", dob: "1990-01-01" },
+    ];
+    const { groups } = ArrayObjectDeduplicator.dedupe(people, {
+      keys: [{ path: "name", fuzzy: 0.85, ignoreCase: true }, "dob"],
+    });
+    assert.deepEqual(groups.map(({ sources }) => sources), [[0, 1], [2], [3]]);
+  });
+
+  test("rejects bad options", () => {
+    assert.throws(() => ArrayObjectDeduplicator.dedupe([], { keys: [] }), /at least one key path/);
+    assert.throws(() => ArrayObjectDeduplicator.dedupe([], { keys: [{ path: "a", fuzzy: 2 }] }), /between 0 and 1/);
+    assert.throws(() => ArrayObjectDeduplicator.dedupe([], { keys: ["a"], survivor: "best" }), /Unknown survivor strategy "best"/);
+  });
+});
+
+describe("ArrayObjectDeduplicator.fingerprint", () => {
+  test("applies the normalization profile before hashing", () => {
+    const a = { name: " Alice ", age: "30", tags: ["b", "a"], note: null };
+    const b = { age: 30, name: "alice", tags: ["b", "a"] };
+
+    assert.notEqual(ArrayObjectDeduplicator.fingerprint(a), ArrayObjectDeduplicator.fingerprint(b));
+    assert.equal(ArrayObjectDeduplicator.fingerprint(a, "loose"), ArrayObjectDeduplicator.fingerprint(b, "loose"));
+    assert.deepEqual(ArrayObjectDeduplicator.normalize(a, "loose"), { age: 30, name: "alice", tags: ["b", "a"] });
+  });
+
+  test("custom profiles extend a named profile", () => {
+    const profile = { extends: "loose", setPaths: ["tags"], ignorePaths: ["updatedAt"], algorithm: "md5" };
+    const fingerprint = ArrayObjectDeduplicator.fingerprint({ tags: ["a", "b", "a"], updatedAt: 1 }, profile);
+
+    assert.equal(fingerprint, ArrayObjectDeduplicator.fingerprint({ tags: ["b", "a"] }, profile));
+    assert.equal(fingerprint.length, 32);
+  });
+
+  test("only accepts built-in profile names", () => {
+    for (const name of ["constructor", "toString", "__proto__"]) {
+      assert.throws(() => ArrayObjectDeduplicator.fingerprint({}, name), /Unknown normalization profile/);
+      assert.throws(() => ArrayObjectDeduplicator.resolveProfile({ extends: name }), /Unknown normalization profile/);
+    }
+    assert.throws(() => ArrayObjectDeduplicator.resolveProfile({ algorithm: "nope" }), /Unsupported hash algorithm "nope"/);
+  });
+});
+
+describe("ArrayObjectDeduplicator.similarity", () => {
+  test("scores strings from 0 to 1 by edit distance", () => {
+    assert.equal(ArrayObjectDeduplicator.similarity("abc", "abc"), 1);
+    assert.equal(ArrayObjectDeduplicator.similarity("abc", ""), 0);
+    assert.equal(ArrayObjectDeduplicator.similarity("kitten", "sitting"), 1 - 3 / 7);
+  });
+});
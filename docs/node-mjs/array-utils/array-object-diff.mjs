@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+/**
+ * Array Object Diff
+ *
+ * Compares two snapshots of an array of objects (e.g. yesterday's and today's API
+ * export), matching records by an identity path such as "id" or "customer.email".
+ *
+ * Reports added, removed and changed records. Field-level changes are JSON-Patch style
+ * operations ({ op, path, value }) with an extra `oldValue` on replace/remove so the
+ * diff reads well in review. Unchanged records are detected by comparing
+ * ArrayObjectDeduplicator fingerprints. Operations carry the records' original values;
+ * the normalization profile only decides what counts as a change, so e.g. ignoring
+ * `updatedAt` or case also hides that noise from the field-level operations.
+ *
+ * Usage:
+ *   node array-object-diff.mjs --key id [options] <before> <after>
+ *
+ * Inputs are JSON arrays (.json) or NDJSON (.ndjson, .jsonl). CSV output neutralizes
+ * formula-like cells as json-to-csv.mjs does, unless --no-formula-protection is passed.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import { extname } from "path";
+import { parseArgs } from "util";
+import ArrayObjectDeduplicator, { NORMALIZATION_PROFILES } from "./array-object-deduplicator.mjs";
+import JSONConverter from "./json-to-csv.mjs";
+
+const OUTPUT_FORMATS = ["summary", "json", "csv"];
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export default class ArrayObjectDiff {
+  /**
+   * Index records by identity path. Ids are keyed with their type, so 1 and "1"
+   * are different records.
+   * @returns {Map<string, { id: *, record: Object }>}
+   */
+  static indexBy(records, key, label) {
+    const index = new Map();
+    records.forEach((record, position) => {
+      const id = ArrayObjectDeduplicator.getPath(record, key);
+      if (ArrayObjectDeduplicator.isBlank(id)) {
+        throw new Error(`${label} record ${position} has no "${key}"`);
+      }
+
+      const idKey = JSON.stringify(id);
+      if (index.has(idKey)) {
+        throw new Error(`${label} has more than one record with ${key} = ${idKey}`);
+      }
+      index.set(idKey, { id, record });
+    });
+    return index;
+  }
+
+  /**
+   * Field-level operations turning `before` into `after`. Values are compared after
+   * normalizing with the profile, but operations report the original values.
+   * @param {*} before
+   * @param {*} after
+   * @param {Object} [options]
+   * @param {string|Object} [options.profile="strict"] - Normalization profile, see NORMALIZATION_PROFILES
+   * @returns {Array<{ op: string, path: string, value?: *, oldValue?: * }>}
+   */
+  static compareValues(before, after, { profile = "strict" } = {}) {
+    return this.compareNodes(before, after, ArrayObjectDeduplicator.compileProfile(profile), "", "", []);
+  }
+
+  // `pointer` is the JSON Pointer used in operations; `profilePath` is the dotted path
+  // that setPaths and ignorePaths refer to, which has no array indices
+  static compareNodes(before, after, options, pointer, profilePath, ops) {
+    const normalized = (value) => JSON.stringify(ArrayObjectDeduplicator.normalizeValue(value, options, profilePath));
+    if (normalized(before) === normalized(after)) return ops;
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+      const present = (record, key) =>
+        Object.hasOwn(record, key) && !(options.nullAsAbsent && (record[key] === null || record[key] === undefined));
+      const keys = [...Object.keys(before), ...Object.keys(after).filter((key) => !Object.hasOwn(before, key))];
+
+      for (const key of keys) {
+        const childPath = profilePath ? `${profilePath}.${key}` : key;
+        if (options.ignorePaths.has(childPath)) continue;
+
+        const childPointer = `${pointer}/${escapePointer(key)}`;
+        if (!present(after, key)) {
+          if (present(before, key)) ops.push({ op: "remove", path: childPointer, oldValue: before[key] });
+        } else if (!present(before, key)) {
+          ops.push({ op: "add", path: childPointer, value: after[key] });
+        } else {
+          this.compareNodes(before[key], after[key], options, childPointer, childPath, ops);
+        }
+      }
+      return ops;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const shared = Math.min(before.length, after.length);
+      for (let i = 0; i < shared; i++) {
+        this.compareNodes(before[i], after[i], options, `${pointer}/${i}`, profilePath, ops);
+      }
+      for (let i = shared; i < after.length; i++) {
+        ops.push({ op: "add", path: `${pointer}/${i}`, value: after[i] });
+      }
+      // Remove from the end so the operations apply in order
+      for (let i = before.length - 1; i >= shared; i--) {
+        ops.push({ op: "remove", path: `${pointer}/${i}`, oldValue: before[i] });
+      }
+      return ops;
+    }
+
+    ops.push({ op: "replace", path: pointer, value: after, oldValue: before });
+    return ops;
+  }
+
+  /**
+   * Diff two snapshots
+   * @param {Array<Object>} before
+   * @param {Array<Object>} after
+   * @param {Object} options
+   * @param {string} options.key - Identity path, e.g. "id" or "customer.email"
+   * @param {string|Object} [options.profile="strict"] - Normalization profile, see NORMALIZATION_PROFILES
+   * @returns {{
+   *   added: Array<{ id: *, record: Object }>,
+   *   removed: Array<{ id: *, record: Object }>,
+   *   changed: Array<{ id: *, ops: Array<Object> }>,
+   *   unchanged: number
+   * }}
+   */
+  static diff(before, after, { key, profile = "strict" } = {}) {
+    if (!key) throw new Error("diff requires an identity key path");
+
+    const beforeIndex = this.indexBy(before, key, "Before snapshot");
+    const afterIndex = this.indexBy(after, key, "After snapshot");
+    const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    for (const [idKey, { id, record }] of beforeIndex) {
+      if (!afterIndex.has(idKey)) {
+        result.removed.push({ id, record });
+        continue;
+      }
+
+      const next = afterIndex.get(idKey).record;
+      if (ArrayObjectDeduplicator.fingerprint(record, profile) === ArrayObjectDeduplicator.fingerprint(next, profile)) {
+        result.unchanged++;
+        continue;
+      }
+
+      result.changed.push({ id, ops: this.compareValues(record, next, { profile }) });
+    }
+
+    for (const [idKey, entry] of afterIndex) {
+      if (!beforeIndex.has(idKey)) result.added.push(entry);
+    }
+
+    return result;
+  }
+
+  static escapeCSVField(value, { formulaProtection = true } = {}) {
+    if (value === undefined) return "";
+    let text = typeof value === "string" ? value : JSON.stringify(value);
+    if (formulaProtection) text = JSONConverter.neutralizeFormula(text).value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * One row per operation: change,id,op,path,old_value,new_value
+   * @param {Object} result - From diff()
+   * @param {Object} [options]
+   * @param {boolean} [options.formulaProtection=true] - Prefix cells a spreadsheet would
+   *   run as a formula (=, +, -, @, tab, CR) with an apostrophe
+   */
+  static toCSV(result, { formulaProtection = true } = {}) {
+    const rows = [["change", "id", "op", "path", "old_value", "new_value"]];
+    result.added.forEach(({ id, record }) => rows.push(["added", id, "add", "", undefined, record]));
+    result.removed.forEach(({ id, record }) => rows.push(["removed", id, "remove", "", record, undefined]));
+    result.changed.forEach(({ id, ops }) =>
+      ops.forEach(({ op, path, value, oldValue }) => rows.push(["changed", id, op, path, oldValue, value]))
+    );
+    return (
+      rows.map((row) => row.map((field) => this.escapeCSVField(field, { formulaProtection })).join(",")).join("\n") +
+      "\n"
+    );
+  }
+
+  static formatSummary(result, { limit = 20 } = {}) {
+    const show = (value) => (value === undefined ? "" : JSON.stringify(value));
+    const lines = [
+      `📊 ${result.added.length} added, ${result.removed.length} removed, ` +
+        `${result.changed.length} changed, ${result.unchanged} unchanged`,
+    ];
+
+    const section = (title, items, describe) => {
+      if (items.length === 0) return;
+      lines.push("", title);
+      items.slice(0, limit).forEach((item) => lines.push(...describe(item)));
+      if (items.length > limit) lines.push(`  … ${items.length - limit} more`);
+    };
+
+    const label = (id) => (typeof id === "object" ? JSON.stringify(id) : String(id));
+    section("➕ Added:", result.added, ({ id }) => [`  + ${label(id)}`]);
+    section("➖ Removed:", result.removed, ({ id }) => [`  - ${label(id)}`]);
+    section("✏️  Changed:", result.changed, ({ id, ops }) => [
+      `  ~ ${label(id)}`,
+      ...ops.map(({ op, path, value, oldValue }) => {
+        if (op === "replace") return `      ${path}: ${show(oldValue)} → ${show(value)}`;
+        if (op === "add") return `      ${path}: + ${show(value)}`;
+        return `      ${path}: - ${show(oldValue)}`;
+      }),
+    ]);
+
+    return lines.join("\n");
+  }
+}
+
+class ArrayObjectDiffCLI {
+  async readSnapshot(file) {
+    const content = await readFile(file, "utf8");
+    const extension = extname(file).toLowerCase();
+
+    if (extension === ".ndjson" || extension === ".jsonl") {
+      return content
+        .split(/\r?\n/)
+        .map((line, i) => [line.trim(), i + 1])
+        .filter(([line]) => line)
+        .map(([line, lineNumber]) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            throw new Error(`${file}:${lineNumber}: invalid JSON (${error.message})`);
+          }
+        });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+      throw new Error(`${file} must contain a JSON array of objects`);
+    }
+    return data;
+  }
+
+  showHelp() {
+    console.log(`
+Array Object Diff
+
+Usage: node array-object-diff.mjs --key <path> [options] <before> <after>
+
+Options:
+  -k, --key <path>          Identity path matching records across snapshots (required)
+  -F, --format <format>     summary (default), json or csv
+  -o, --output <file>       Write the diff to a file instead of stdout
+  -p, --profile <profile>   Normalization before comparing: strict (default), loose,
+                            or a JSON profile file (e.g. to ignore updatedAt)
+      --limit <n>           Records listed per section in the summary (default: 20)
+      --no-formula-protection
+                            Write CSV cells starting with =, +, -, @, tab or CR unchanged
+                            (by default they are prefixed with ' so spreadsheets do not
+                            run them as formulas)
+  -h, --help                Show this help
+
+Examples:
+  node array-object-diff.mjs -k id before.json after.json
+  node array-object-diff.mjs -k customer.email -F csv -o review.csv old.ndjson new.ndjson
+`);
+  }
+
+  async run() {
+    const { values: options, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        key: { type: "string", short: "k" },
+        format: { type: "string", short: "F", default: "summary" },
+        output: { type: "string", short: "o" },
+        profile: { type: "string", short: "p", default: "strict" },
+        limit: { type: "string", default: "20" },
+        "no-formula-protection": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+
+    if (options.help) {
+      this.showHelp();
+      return;
+    }
+    if (positionals.length !== 2 || !options.key) {
+      this.showHelp();
+      process.exit(1);
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      throw new Error(`Invalid format "${options.format}". Use: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+    const limit = Number.parseInt(options.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`--limit must be a positive integer, got "${options.limit}"`);
+    }
+
+    const profile = Object.hasOwn(NORMALIZATION_PROFILES, options.profile)
+      ? options.profile
+      : JSON.parse(await readFile(options.profile, "utf8"));
+
+    const [before, after] = await Promise.all(positionals.map((file) => this.readSnapshot(file)));
+    const result = ArrayObjectDiff.diff(before, after, { key: options.key, profile });
+
+    let text;
+    if (options.format === "json") text = JSON.stringify(result, null, 2) + "\n";
+    else if (options.format === "csv") {
+      text = ArrayObjectDiff.toCSV(result, { formulaProtection: !options["no-formula-protection"] });
+    }
+    else text = ArrayObjectDiff.formatSummary(result, { limit }) + "\n";
+
+    if (options.output) {
+      await writeFile(options.output, text, "utf8");
+      console.error(`✅ Diff written to ${options.output}`);
+    } else {
+      process.stdout.write(text);
+    }
+  }
+}
+
+// Execute CLI if this is the main module
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new ArrayObjectDiffCLI().run().catch((error) => {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  });
+}
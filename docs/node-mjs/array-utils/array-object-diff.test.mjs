@@ -0,0 +1,185 @@
+/**
+ * Tests for array-object-diff.mjs
+ *
+ * Run with: node --test docs/node-mjs/array-utils/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import ArrayObjectDiff from "./array-object-diff.mjs";
+import { runScript, tempDir } from "../test-helpers.mjs";
+
+const CLI_PATH = fileURLToPath(new URL("./array-object-diff.mjs", import.meta.url));
+
+const runCLI = (args, cwd) => runScript(CLI_PATH, args, { cwd });
+
+describe("ArrayObjectDiff.diff", () => {
+  test("reports added, removed and changed records with patch operations", () => {
+    const result = ArrayObjectDiff.diff(
+      [
+        { id: 1, name: "Ann", tags: ["a", "b"], address: { city: "NYC" } },
+        { id: 2, name: "Bob" },
+        { id: 3, name: "Cy" },
+      ],
+      [
+        { id: 1, name: "Ann Lee", tags: ["a"], address: { city: "NYC", zip: "10001" } },
+        { id: 3, name: "Cy" },
+        { id: 4, name: "Di" },
+      ],
+      { key: "id" }
+    );
+
+    assert.deepEqual(result.added, [{ id: 4, record: { id: 4, name: "Di" } }]);
+    assert.deepEqual(result.removed, [{ id: 2, record: { id: 2, name: "Bob" } }]);
+    assert.equal(result.unchanged, 1);
+    assert.deepEqual(result.changed, [
+      {
+        id: 1,
+        ops: [
+          { op: "replace", path: "/name", value: "Ann Lee", oldValue: "Ann" },
+          { op: "remove", path: "/tags/1", oldValue: "b" },
+          { op: "add", path: "/address/zip", value: "10001" },
+        ],
+      },
+    ]);
+  });
+
+  test("operations carry original values; the profile only decides what changed", () => {
+    const profile = { extends: "loose", ignorePaths: ["updatedAt"] };
+    const { changed, unchanged } = ArrayObjectDiff.diff(
+      [
+        { id: 1, email: "Ann@X.com", age: "30", note: null, updatedAt: 1 },
+        { id: 2, email: "bob@x.com", age: "40", updatedAt: 1 },
+      ],
+      [
+        { id: 1, email: "ann@x.com ", age: 30, updatedAt: 2 },
+        { id: 2, email: "Bob@Y.com", age: 41, updatedAt: 2 },
+      ],
+      { key: "id", profile }
+    );
+
+    assert.equal(unchanged, 1);
+    assert.deepEqual(changed, [
+      {
+        id: 2,
+        ops: [
+          { op: "replace", path: "/email", value: "Bob@Y.com", oldValue: "bob@x.com" },
+          { op: "replace", path: "/age", value: 41, oldValue: "40" },
+        ],
+      },
+    ]);
+  });
+
+  test("keeps ids of different types apart", () => {
+    const result = ArrayObjectDiff.diff([{ id: 1, v: "a" }], [{ id: "1", v: "a" }], { key: "id" });
+
+    assert.deepEqual(result.removed.map(({ id }) => id), [1]);
+    assert.deepEqual(result.added.map(({ id }) => id), ["1"]);
+    assert.doesNotThrow(() => ArrayObjectDiff.indexBy([{ id: 1 }, { id: "1" }], "id", "Snapshot"));
+    assert.throws(
+      () => ArrayObjectDiff.indexBy([{ id: "1" }, { id: "1" }], "id", "Snapshot"),
+      /Snapshot has more than one record with id = "1"/
+    );
+  });
+
+  test("compares own keys only", () => {
+    const ops = ArrayObjectDiff.compareValues({ a: 1 }, { a: 1, constructor: "x" });
+    assert.deepEqual(ops, [{ op: "add", path: "/constructor", value: "x" }]);
+  });
+
+  test("requires an identity for every record", () => {
+    assert.throws(() => ArrayObjectDiff.diff([], []), /requires an identity key path/);
+    assert.throws(() => ArrayObjectDiff.diff([{ name: "x" }], [], { key: "id" }), /Before snapshot record 0 has no "id"/);
+  });
+});
+
+describe("ArrayObjectDiff output", () => {
+  const result = ArrayObjectDiff.diff(
+    [{ id: 1, name: "Ann" }, { id: 2, name: "Bob" }],
+    [{ id: 1, name: "Ann, Lee" }, { id: 3, name: "Cy" }],
+    { key: "id" }
+  );
+
+  test("writes one CSV row per operation", () => {
+    assert.equal(
+      ArrayObjectDiff.toCSV(result),
+      [
+        "change,id,op,path,old_value,new_value",
+        'added,3,add,,,"{""id"":3,""name"":""Cy""}"',
+        'removed,2,remove,,"{""id"":2,""name"":""Bob""}",',
+        'changed,1,replace,/name,Ann,"Ann, Lee"',
+      ].join("\n") + "\n"
+    );
+  });
+
+  test("neutralizes formula-like CSV cells unless told not to", () => {
+    const formula = ArrayObjectDiff.diff(
+      [{ id: 1, link: "", balance: 5 }],
+      [{ id: 1, link: '=HYPERLINK("http://x.test","go")', balance: -5 }],
+      { key: "id" }
+    );
+    const [, link, balance] = ArrayObjectDiff.toCSV(formula).trim().split("\n");
+    assert.equal(link, 'changed,1,replace,/link,,"\'=HYPERLINK(""http://x.test"",""go"")"');
+    assert.equal(balance, "changed,1,replace,/balance,5,-5");
+
+    const [, raw] = ArrayObjectDiff.toCSV(formula, { formulaProtection: false }).split("\n");
+    assert.equal(raw, 'changed,1,replace,/link,,"=HYPERLINK(""http://x.test"",""go"")"');
+  });
+
+  test("summarizes counts and changes", () => {
+    assert.equal(
+      ArrayObjectDiff.formatSummary(result),
+      [
+        "📊 1 added, 1 removed, 1 changed, 0 unchanged",
+        "",
+        "➕ Added:",
+        "  + 3",
+        "",
+        "➖ Removed:",
+        "  - 2",
+        "",
+        "✏️  Changed:",
+        "  ~ 1",
+        '      /name: "Ann" → "Ann, Lee"',
+      ].join("\n")
+    );
+  });
+});
+
+describe("array-object-diff CLI", () => {
+  test("diffs JSON and NDJSON snapshots", (t) => {
+    const dir = tempDir(t, {
+      "before.json": JSON.stringify([{ id: 1, name: "Ann" }]),
+      "after.ndjson": '{"id": 1, "name": "ANN"}\n{"id": 2, "name": "Bob"}\n',
+    });
+
+    const result = runCLI(["-k", "id", "-p", "loose", "-F", "json", "before.json", "after.ndjson"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), {
+      added: [{ id: 2, record: { id: 2, name: "Bob" } }],
+      removed: [],
+      changed: [],
+      unchanged: 1,
+    });
+  });
+
+  test("passes --no-formula-protection to the CSV output", (t) => {
+    const dir = tempDir(t, {
+      "before.json": JSON.stringify([{ id: 1, note: "" }]),
+      "after.json": JSON.stringify([{ id: 1, note: "@SUM(A1)" }]),
+    });
+
+    const args = ["-k", "id", "-F", "csv", "before.json", "after.json"];
+    assert.match(runCLI(args, dir).stdout, /\/note,,'@SUM\(A1\)\n/);
+    assert.match(runCLI([...args, "--no-formula-protection"], dir).stdout, /\/note,,@SUM\(A1\)\n/);
+  });
+
+  test("treats -p constructor as a profile file, not a built-in name", (t) => {
+    const dir = tempDir(t, { "a.json": "[]" });
+
+    const result = runCLI(["-k", "id", "-p", "constructor", "a.json", "a.json"], dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /ENOENT.*constructor/);
+  });
+});
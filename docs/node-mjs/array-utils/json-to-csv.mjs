@@ -1,29 +1,62 @@
 import { writeFile } from "fs/promises";
 
+const FORMULA_TRIGGER_PATTERN = /^'*[=+\-@\t\r]/;
+const NUMERIC_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
 export default class JSONConverter {
+  /**
+   * Prefix values a spreadsheet would run as a formula (=, +, -, @, tab, CR)
+   * with an apostrophe. Numbers such as -42 are left untouched.
+   * @param {*} value
+   * @returns {{ value: string, neutralized: boolean }}
+   */
+  static neutralizeFormula(value) {
+    const stringValue = String(value);
+    if (
+      typeof value !== "number" &&
+      FORMULA_TRIGGER_PATTERN.test(stringValue) &&
+      !NUMERIC_PATTERN.test(stringValue)
+    ) {
+      return { value: `'${stringValue}`, neutralized: true };
+    }
+    return { value: stringValue, neutralized: false };
+  }
+
   /**
    * Convert an array of JSON objects to a CSV string
    * @param {Array<Object>} jsonData - Array of JSON objects
    * @param {string} delimiter - CSV delimiter (default is ',')
+   * @param {Object} [options]
+   * @param {boolean} [options.formulaProtection=true] - Neutralize formula-like cells
+   * @param {boolean} [options.verbose=false] - Log how many cells were neutralized (to stderr)
    * @returns {string} - CSV-formatted string
    */
-  static toCSV(jsonData, delimiter = ",") {
+  static toCSV(jsonData, delimiter = ",", { formulaProtection = true, verbose = false } = {}) {
     if (!Array.isArray(jsonData) || jsonData.length === 0) {
       throw new Error("Invalid or empty JSON array");
     }
 
     const headers = Object.keys(jsonData[0]);
     const csvRows = [headers.join(delimiter)];
+    let neutralizedCells = 0;
 
     for (const row of jsonData) {
       const values = headers.map((key) => {
-        const value = row[key] ?? "";
-        const escaped = String(value).replace(/"/g, '""');
+        const raw = row[key] ?? "";
+        const { value, neutralized } = formulaProtection
+          ? this.neutralizeFormula(raw)
+          : { value: String(raw), neutralized: false };
+        if (neutralized) neutralizedCells++;
+        const escaped = value.replace(/"/g, '""');
         return `"${escaped}"`;
       });
       csvRows.push(values.join(delimiter));
     }
 
+    if (verbose && neutralizedCells > 0) {
+      console.error(`⚠️ Neutralized ${neutralizedCells} formula-like cell(s)`);
+    }
+
     return csvRows.join("\n");
   }
 
@@ -32,9 +65,10 @@ export default class JSONConverter {
    * @param {Array<Object>} jsonData
    * @param {string} filePath
    * @param {string} delimiter
+   * @param {Object} [options] - Passed to toCSV
    */
-  static async saveCSVToFile(jsonData, filePath, delimiter = ",") {
-    const csv = this.toCSV(jsonData, delimiter);
+  static async saveCSVToFile(jsonData, filePath, delimiter = ",", options = {}) {
+    const csv = this.toCSV(jsonData, delimiter, options);
     await writeFile(filePath, csv, "utf8");
     console.log(`✅ CSV saved to ${filePath}`);
   }
@@ -52,6 +86,9 @@ const sampleData = [
 const csv = JSONConverter.toCSV(sampleData);
 console.log(csv);
 
+// Formula-like cells ("=HYPERLINK(...)") are prefixed with ' by default;
+// pass { formulaProtection: false } to write them unchanged
+
 // Save to file
 await JSONConverter.saveCSVToFile(sampleData, './output.csv');
 ```
@@ -0,0 +1,47 @@
+/**
+ * Tests for json-to-csv.mjs
+ *
+ * Run with: node --test docs/node-mjs/array-utils/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import JSONConverter from "./json-to-csv.mjs";
+
+describe("JSONConverter.toCSV", () => {
+  const rows = [
+    { name: "=HYPERLINK(\"http://x\")", amount: -42, note: "-3.5" },
+    { name: "@SUM(A1)", amount: 7, note: "+cmd|' /C calc'!A0" },
+  ];
+
+  test("prefixes formula-like cells with an apostrophe but leaves numbers alone", () => {
+    assert.equal(
+      JSONConverter.toCSV(rows),
+      [
+        "name,amount,note",
+        '"\'=HYPERLINK(""http://x"")","-42","-3.5"',
+        '"\'@SUM(A1)","7","\'+cmd|\' /C calc\'!A0"',
+      ].join("\n")
+    );
+  });
+
+  test("writes cells unchanged with formulaProtection: false", () => {
+    const csv = JSONConverter.toCSV(rows, ";", { formulaProtection: false });
+    assert.equal(csv.split("\n")[2], '"@SUM(A1)";"7";"+cmd|\' /C calc\'!A0"');
+  });
+
+  test("reports the neutralized count on stderr when verbose", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const log = t.mock.method(console, "log", () => {});
+
+    JSONConverter.toCSV(rows, ",", { verbose: true });
+
+    assert.equal(error.mock.callCount(), 1);
+    assert.match(error.mock.calls[0].arguments[0], /Neutralized 3 formula-like cell\(s\)/);
+    assert.equal(log.mock.callCount(), 0);
+  });
+
+  test("rejects empty input", () => {
+    assert.throws(() => JSONConverter.toCSV([]), /Invalid or empty JSON array/);
+  });
+});
@@ -0,0 +1,682 @@
+#!/usr/bin/env node
+
+/**
+ * Streaming Deduplicator
+ *
+ * Removes duplicate records from NDJSON or CSV files that are too large to load into
+ * memory, across any number of files, and optionally across runs.
+ *
+ * Records are identified by the same SHA-256 content hash as
+ * ArrayObjectDeduplicator.removeDuplicates, or by a set of key paths (--key email).
+ * Hashes live in a HashIndex: recent hashes are kept in memory and spilled to sorted
+ * segment files (each with a Bloom filter) once a memory limit is reached. Pointing
+ * --index at a directory keeps the index between runs, so records seen yesterday are
+ * dropped from today's delta. The index is only saved when a run succeeds, so a failed
+ * run can simply be repeated.
+ *
+ * Usage:
+ *   node stream-deduplicator.mjs [options] <file...>
+ *
+ * Examples:
+ *   node stream-deduplicator.mjs export-1.ndjson export-2.ndjson > unique.ndjson
+ *   node stream-deduplicator.mjs --key email --ignore-case -o delta.csv contacts.csv
+ *   node stream-deduplicator.mjs --profile loose export.ndjson > unique.ndjson
+ *   node stream-deduplicator.mjs --index ./.dedupe-index -o delta.ndjson today.ndjson
+ */
+
+import crypto from "crypto";
+import { createReadStream, createWriteStream } from "fs";
+import { mkdir, mkdtemp, open, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { extname, join } from "path";
+import { createInterface } from "readline";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { parseArgs } from "util";
+import { parse } from "csv-parse";
+import {
+  createDecodeStream,
+  describeDialect,
+  generatedHeaders,
+  readSample,
+  recordDelimiters,
+  resolveDialect,
+} from "../csv/csv-dialect.mjs";
+import ArrayObjectDeduplicator, { NORMALIZATION_PROFILES } from "./array-object-deduplicator.mjs";
+
+const MANIFEST_FILE = "index.json";
+const INDEX_FORMAT = 1;
+const INPUT_FORMATS = ["ndjson", "csv"];
+
+/**
+ * Fixed-size Bloom filter over hash digests. Digests are already uniformly
+ * distributed, so two of their 32-bit words drive double hashing.
+ */
+class BloomFilter {
+  constructor(bits, data = null) {
+    this.bits = Math.max(64, bits);
+    this.data = data || Buffer.alloc(Math.ceil(this.bits / 8));
+  }
+
+  *positions(digest) {
+    const h1 = digest.readUInt32BE(0);
+    const h2 = digest.readUInt32BE(4);
+    for (let i = 0; i < 7; i++) {
+      yield (h1 + i * h2) % this.bits;
+    }
+  }
+
+  add(digest) {
+    for (const position of this.positions(digest)) {
+      this.data[position >> 3] |= 1 << (position & 7);
+    }
+  }
+
+  mightContain(digest) {
+    for (const position of this.positions(digest)) {
+      if (!(this.data[position >> 3] & (1 << (position & 7)))) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Set of hash digests that spills to disk.
+ *
+ * Layout of the index directory:
+ * - index.json: manifest listing segments, their sizes, the digest width and the
+ *   hash scheme (profile and key paths) the digests were computed with
+ * - segment-N.idx: sorted fixed-width digests
+ * - segment-N.idx.bloom: Bloom filter for that segment (about 10 bits per hash)
+ *
+ * The manifest is only rewritten by close(), so segments spilled or merged during a
+ * run stay invisible to the next one until the run is persisted.
+ */
+export class HashIndex {
+  /**
+   * @param {string} dir - Index directory
+   * @param {Object} [options]
+   * @param {number} [options.memoryLimit=500000] - Hashes held in memory before spilling
+   * @param {number} [options.maxSegments=8] - Segments kept before they are merged into one
+   * @param {number} [options.hashBytes=32] - Digest width (32 for SHA-256, 20 for SHA-1, 16 for MD5)
+   * @param {Object} [options.scheme=null] - What the hashes were computed from, e.g.
+   *   StreamDeduplicator.hashScheme(); an existing index built with another scheme is refused
+   */
+  constructor(dir, { memoryLimit = 500000, maxSegments = 8, hashBytes = 32, scheme = null } = {}) {
+    if (hashBytes < 8) {
+      throw new Error(`Hash index needs digests of at least 8 bytes, got ${hashBytes}`);
+    }
+    this.dir = dir;
+    this.hashBytes = hashBytes;
+    this.memoryLimit = memoryLimit;
+    this.maxSegments = maxSegments;
+    this.scheme = scheme;
+    this.memory = new Set();
+    this.segments = [];
+    this.nextSegment = 0;
+    // Segment files listed in the manifest on disk, and ones merged away since
+    this.savedFiles = new Set();
+    this.obsoleteFiles = [];
+  }
+
+  static async open(dir, options = {}) {
+    const index = new HashIndex(dir, options);
+    await mkdir(dir, { recursive: true });
+
+    let manifest = null;
+    try {
+      manifest = JSON.parse(await readFile(join(dir, MANIFEST_FILE), "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Cannot read hash index manifest in ${dir}: ${error.message}`);
+      }
+    }
+
+    if (manifest) {
+      if (manifest.format !== INDEX_FORMAT) {
+        throw new Error(`Hash index in ${dir} has unsupported format ${manifest.format}`);
+      }
+      if (manifest.hashBytes !== index.hashBytes) {
+        throw new Error(
+          `Hash index in ${dir} holds ${manifest.hashBytes}-byte hashes, not ${index.hashBytes}; ` +
+            "use the same hash algorithm as the run that built it"
+        );
+      }
+      const scheme = JSON.stringify(manifest.scheme ?? null);
+      if (scheme !== JSON.stringify(index.scheme)) {
+        throw new Error(
+          `Hash index in ${dir} was built with ${scheme}, not ${JSON.stringify(index.scheme)}; ` +
+            "use the same --profile, --key and --ignore-case as the run that built it"
+        );
+      }
+      index.nextSegment = manifest.nextSegment;
+      for (const { file, count, bloomBits } of manifest.segments) {
+        await index.loadSegment(file, count, bloomBits);
+      }
+      index.savedFiles = new Set(manifest.segments.map(({ file }) => file));
+    }
+    return index;
+  }
+
+  get size() {
+    return this.memory.size + this.segments.reduce((sum, segment) => sum + segment.count, 0);
+  }
+
+  async loadSegment(file, count, bloomBits) {
+    const bloom = new BloomFilter(bloomBits, await readFile(join(this.dir, `${file}.bloom`)));
+    const handle = await open(join(this.dir, file), "r");
+    this.segments.push({ file, count, bloom, handle });
+  }
+
+  async segmentContains(segment, digest) {
+    if (!segment.bloom.mightContain(digest)) return false;
+
+    const probe = Buffer.alloc(this.hashBytes);
+    let low = 0;
+    let high = segment.count - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      await segment.handle.read(probe, 0, this.hashBytes, mid * this.hashBytes);
+      const order = probe.compare(digest);
+      if (order === 0) return true;
+      if (order < 0) low = mid + 1;
+      else high = mid - 1;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} hash - Hex digest
+   */
+  async has(hash) {
+    if (this.memory.has(hash)) return true;
+    const digest = Buffer.from(hash, "hex");
+    for (const segment of this.segments) {
+      if (await this.segmentContains(segment, digest)) return true;
+    }
+    return false;
+  }
+
+  async add(hash) {
+    this.memory.add(hash);
+    if (this.memory.size >= this.memoryLimit) {
+      await this.spill();
+    }
+  }
+
+  async writeSegment(sortedDigests, count) {
+    const file = `segment-${this.nextSegment++}.idx`;
+    const bloom = new BloomFilter(count * 10);
+    const output = await open(join(this.dir, file), "w");
+
+    try {
+      for await (const chunk of sortedDigests) {
+        for (let offset = 0; offset < chunk.length; offset += this.hashBytes) {
+          bloom.add(chunk.subarray(offset, offset + this.hashBytes));
+        }
+        await output.write(chunk);
+      }
+    } finally {
+      await output.close();
+    }
+
+    await writeFile(join(this.dir, `${file}.bloom`), bloom.data);
+    return { file, bloomBits: bloom.bits };
+  }
+
+  /**
+   * Move in-memory hashes into a new sorted segment
+   */
+  async spill() {
+    if (this.memory.size === 0) return;
+
+    // Lowercase hex sorts in the same order as the raw bytes
+    const sorted = [...this.memory].sort();
+    const count = sorted.length;
+    const chunks = (function* () {
+      for (let i = 0; i < sorted.length; i += 4096) {
+        yield Buffer.from(sorted.slice(i, i + 4096).join(""), "hex");
+      }
+    })();
+
+    const { file, bloomBits } = await this.writeSegment(chunks, count);
+    this.memory.clear();
+    await this.loadSegment(file, count, bloomBits);
+
+    if (this.segments.length > this.maxSegments) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Merge all segments into one with a streaming k-way merge
+   */
+  async compact() {
+    const hashBytes = this.hashBytes;
+    const readers = this.segments.map((segment) => ({
+      segment,
+      buffer: Buffer.alloc(0),
+      offset: 0,
+      position: 0,
+    }));
+
+    const fill = async (reader) => {
+      if (reader.offset < reader.buffer.length) return true;
+      const remaining = reader.segment.count - reader.position;
+      if (remaining <= 0) return false;
+
+      const take = Math.min(remaining, 2048);
+      reader.buffer = Buffer.alloc(take * hashBytes);
+      await reader.segment.handle.read(reader.buffer, 0, reader.buffer.length, reader.position * hashBytes);
+      reader.position += take;
+      reader.offset = 0;
+      return true;
+    };
+
+    let count = 0;
+    async function* merged() {
+      let pending = [];
+      let previous = null;
+      for (;;) {
+        let smallest = null;
+        for (const reader of readers) {
+          if (!(await fill(reader))) continue;
+          const head = reader.buffer.subarray(reader.offset, reader.offset + hashBytes);
+          if (!smallest || head.compare(smallest.head) < 0) smallest = { reader, head };
+        }
+        if (!smallest) break;
+
+        smallest.reader.offset += hashBytes;
+        if (previous && previous.equals(smallest.head)) continue;
+        previous = Buffer.from(smallest.head);
+        pending.push(previous);
+        count++;
+
+        if (pending.length === 2048) {
+          yield Buffer.concat(pending);
+          pending = [];
+        }
+      }
+      if (pending.length) yield Buffer.concat(pending);
+    }
+
+    const upperBound = this.segments.reduce((sum, segment) => sum + segment.count, 0);
+    const { file, bloomBits } = await this.writeSegment(merged(), upperBound);
+
+    const old = this.segments;
+    this.segments = [];
+    for (const segment of old) {
+      await segment.handle.close();
+      // Segments in the saved manifest are still needed if this run is not persisted
+      if (this.savedFiles.has(segment.file)) this.obsoleteFiles.push(segment.file);
+      else await this.removeSegmentFiles(segment.file);
+    }
+    await this.loadSegment(file, count, bloomBits);
+  }
+
+  async removeSegmentFiles(file) {
+    await rm(join(this.dir, file), { force: true });
+    await rm(join(this.dir, `${file}.bloom`), { force: true });
+  }
+
+  async saveManifest() {
+    const manifest = {
+      format: INDEX_FORMAT,
+      hashBytes: this.hashBytes,
+      scheme: this.scheme,
+      nextSegment: this.nextSegment,
+      segments: this.segments.map(({ file, count, bloom }) => ({ file, count, bloomBits: bloom.bits })),
+    };
+    await writeFile(join(this.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    for (const file of this.obsoleteFiles) await this.removeSegmentFiles(file);
+    this.obsoleteFiles = [];
+    this.savedFiles = new Set(this.segments.map(({ file }) => file));
+  }
+
+  /**
+   * Release file handles. With persist (the default) remaining in-memory hashes are
+   * spilled and the manifest saved; otherwise the index on disk is left as it was
+   * when opened and this run's segments are removed.
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true]
+   */
+  async close({ persist = true } = {}) {
+    if (persist) {
+      await this.spill();
+      await this.saveManifest();
+    }
+    for (const segment of this.segments) {
+      await segment.handle.close();
+      if (!persist && !this.savedFiles.has(segment.file)) await this.removeSegmentFiles(segment.file);
+    }
+    this.segments = [];
+    this.memory.clear();
+  }
+}
+
+export class StreamDeduplicator {
+  /**
+   * @param {HashIndex} index
+   * @param {Object} [options]
+   * @param {Array<string|Object>} [options.keys] - Key paths as in ArrayObjectDeduplicator.dedupe;
+   *   whole-record content is hashed when omitted. Fuzzy keys are not supported when streaming.
+   * @param {boolean} [options.ignoreCase=false]
+   * @param {string|Object} [options.profile="strict"] - Normalization profile applied before hashing
+   */
+  constructor(index, { keys, ignoreCase = false, profile = "strict" } = {}) {
+    this.index = index;
+    this.profile = profile;
+    ArrayObjectDeduplicator.resolveProfile(profile);
+    this.keys = keys && keys.length ? ArrayObjectDeduplicator.normalizeKeys(keys, { ignoreCase }) : null;
+    if (this.keys && this.keys.some((spec) => spec.fuzzy !== undefined)) {
+      throw new Error("Fuzzy keys need every record in memory; use ArrayObjectDeduplicator.dedupe");
+    }
+    this.stats = { records: 0, duplicates: 0, unique: 0 };
+    // Key path -> number of records it was missing from
+    this.missingKeys = new Map();
+  }
+
+  /**
+   * What a record's hash depends on: the resolved profile and key specs. A persistent
+   * index records it so a run with other options cannot mix incompatible hashes.
+   */
+  static hashScheme({ keys, ignoreCase = false, profile = "strict" } = {}) {
+    return ArrayObjectDeduplicator.sortObjectKeys({
+      profile: ArrayObjectDeduplicator.resolveProfile(profile),
+      keys: keys && keys.length ? ArrayObjectDeduplicator.normalizeKeys(keys, { ignoreCase }) : null,
+    });
+  }
+
+  hashRecord(record) {
+    if (!this.keys) return ArrayObjectDeduplicator.generateHashId(record, this.profile);
+
+    const values = this.keys.map((spec) => {
+      const value = ArrayObjectDeduplicator.keyValue(record, spec);
+      if (value === undefined) this.missingKeys.set(spec.path, (this.missingKeys.get(spec.path) || 0) + 1);
+      return value;
+    });
+    // Records without any key value cannot be matched, so keep them all
+    if (values.every((value) => ArrayObjectDeduplicator.isBlank(value))) return null;
+    return ArrayObjectDeduplicator.generateHashId(values, this.profile);
+  }
+
+  /**
+   * Object-mode transform that passes through only records not yet in the index
+   */
+  createTransform() {
+    const dedup = this;
+    return new Transform({
+      objectMode: true,
+      transform(record, encoding, callback) {
+        dedup.stats.records++;
+        const hash = dedup.hashRecord(record);
+
+        const check = hash === null ? Promise.resolve(false) : dedup.index.has(hash);
+        check
+          .then(async (seen) => {
+            if (seen) {
+              dedup.stats.duplicates++;
+              return callback();
+            }
+            if (hash !== null) await dedup.index.add(hash);
+            dedup.stats.unique++;
+            callback(null, record);
+          })
+          .catch(callback);
+      },
+    });
+  }
+
+  static duplicateRate({ records, duplicates }) {
+    return records === 0 ? 0 : (duplicates / records) * 100;
+  }
+}
+
+function escapeCSVField(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class StreamDedupCLI {
+  resolveFormat(file, override) {
+    if (override) {
+      if (!INPUT_FORMATS.includes(override)) {
+        throw new Error(`Invalid format "${override}". Use: ${INPUT_FORMATS.join(", ")}`);
+      }
+      return override;
+    }
+    const extension = extname(file).toLowerCase();
+    if (extension === ".csv") return "csv";
+    if ([".ndjson", ".jsonl"].includes(extension)) return "ndjson";
+    if (extension === ".json") {
+      throw new Error(
+        `${file}: JSON arrays cannot be streamed; convert it to NDJSON (one record per line), ` +
+          "or pass --format ndjson if it already is"
+      );
+    }
+    throw new Error(`Cannot detect format of ${file}; pass --format ndjson|csv`);
+  }
+
+  async *readNDJSON(file) {
+    const lines = createInterface({ input: createReadStream(file, "utf8"), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        console.error(`⚠️  ${file}:${lineNumber}: skipped invalid JSON (${error.message})`);
+      }
+    }
+  }
+
+  async *readCSV(file, { dialectSpecs, keys }) {
+    const dialect = resolveDialect(await readSample(file), dialectSpecs);
+    if (dialectSpecs) console.error(`${describeDialect(dialect)} (${file})`);
+
+    const rows = parse({
+      delimiter: dialect.delimiter,
+      quote: dialect.quote,
+      record_delimiter: recordDelimiters(dialect),
+      skip_empty_lines: true,
+      relax_column_count: true,
+    });
+    // Errors reach the loop below through `rows`
+    pipeline(createReadStream(file), createDecodeStream(dialect), rows).catch(() => {});
+
+    let header = null;
+    for await (const row of rows) {
+      if (!header) {
+        header = dialect.header ? row : generatedHeaders(row.length);
+        this.checkCSVHeader(file, header, keys);
+        if (dialect.header) continue;
+      }
+      yield Object.fromEntries(header.map((column, i) => [column, row[i] ?? ""]));
+    }
+  }
+
+  checkCSVHeader(file, header, keys = []) {
+    if (!this.csvHeader) {
+      this.csvHeader = header;
+    } else if (header.join(",") !== this.csvHeader.join(",")) {
+      throw new Error(`${file} has a different CSV header; all CSV inputs must share one`);
+    }
+    // Every record would miss the key, and nothing would be deduplicated
+    const missing = keys.filter((key) => !header.includes(key));
+    if (missing.length) {
+      throw new Error(
+        `${file} has no column ${missing.map((key) => `"${key}"`).join(", ")} for --key; ` +
+          `columns are: ${header.join(", ")}`
+      );
+    }
+  }
+
+  createWriter(format) {
+    let wroteHeader = false;
+    return new Transform({
+      writableObjectMode: true,
+      transform: (record, encoding, callback) => {
+        if (format === "ndjson") return callback(null, JSON.stringify(record) + "\n");
+
+        let text = "";
+        if (!wroteHeader) {
+          text += this.csvHeader.map(escapeCSVField).join(",") + "\n";
+          wroteHeader = true;
+        }
+        text += this.csvHeader.map((column) => escapeCSVField(record[column])).join(",") + "\n";
+        callback(null, text);
+      },
+    });
+  }
+
+  printReport(perFile, total, indexed, missingKeys) {
+    const line = (label, stats) =>
+      `📊 ${label}: ${stats.records} records, ${stats.duplicates} duplicates ` +
+      `(${StreamDeduplicator.duplicateRate(stats).toFixed(1)}%), ${stats.unique} unique`;
+
+    perFile.forEach(({ file, stats }) => console.error(line(file, stats)));
+    if (perFile.length > 1) console.error(line("Total", total));
+    for (const [path, count] of missingKeys) {
+      console.error(`⚠️  ${count} of ${total.records} records have no "${path}" key`);
+    }
+    console.error(`🗂️  Hash index holds ${indexed} hashes`);
+  }
+
+  showHelp() {
+    console.log(`
+Streaming Deduplicator
+
+Usage: node stream-deduplicator.mjs [options] <file...>
+
+Options:
+  -k, --key <path>          Identify records by this key path (repeatable, e.g. -k name -k dob).
+                            Without keys the whole record content is hashed
+      --ignore-case         Compare string key values case-insensitively
+  -d, --dialect <key=val>   Override the detected CSV dialect (repeatable): delimiter, quote,
+                            encoding, header, lineEnding. Any --dialect (or "--dialect show")
+                            prints the dialect in use. Without headers, columns are column_1..N
+  -p, --profile <profile>   Normalization before hashing: strict (default), loose, or a JSON
+                            profile file. Keep it the same across runs that share an --index
+  -f, --format <format>     Input format: ndjson, csv (default: from file extension;
+                            .json arrays are not streamed, convert them to NDJSON)
+  -o, --output <file>       Write unique records here (default: stdout)
+      --index <dir>         Persistent hash index; records already in it are dropped,
+                            new ones are added for the next run
+      --memory-limit <n>    Hashes kept in memory before spilling to disk (default: 500000)
+  -h, --help                Show this help
+
+Examples:
+  node stream-deduplicator.mjs a.ndjson b.ndjson > unique.ndjson
+  node stream-deduplicator.mjs -k email --ignore-case -o delta.csv contacts.csv
+  node stream-deduplicator.mjs --index ./.dedupe-index -o delta.ndjson today.ndjson
+`);
+  }
+
+  async run() {
+    const { values: options, positionals: files } = parseArgs({
+      allowPositionals: true,
+      options: {
+        key: { type: "string", short: "k", multiple: true },
+        "ignore-case": { type: "boolean", default: false },
+        dialect: { type: "string", short: "d", multiple: true },
+        profile: { type: "string", short: "p", default: "strict" },
+        format: { type: "string", short: "f" },
+        output: { type: "string", short: "o" },
+        index: { type: "string" },
+        "memory-limit": { type: "string", default: "500000" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+
+    if (options.help || files.length === 0) {
+      this.showHelp();
+      process.exit(options.help ? 0 : 1);
+    }
+
+    const memoryLimit = Number.parseInt(options["memory-limit"], 10);
+    if (!Number.isInteger(memoryLimit) || memoryLimit < 1) {
+      throw new Error(`--memory-limit must be a positive integer, got "${options["memory-limit"]}"`);
+    }
+
+    const formats = files.map((file) => this.resolveFormat(file, options.format));
+    if (new Set(formats).size > 1) {
+      throw new Error("All inputs must use the same format (ndjson or csv)");
+    }
+
+    const profile = Object.hasOwn(NORMALIZATION_PROFILES, options.profile)
+      ? options.profile
+      : JSON.parse(await readFile(options.profile, "utf8"));
+    const { algorithm } = ArrayObjectDeduplicator.resolveProfile(profile);
+    const hashBytes = crypto.createHash(algorithm).digest().length;
+    const scheme = StreamDeduplicator.hashScheme({ keys: options.key, ignoreCase: options["ignore-case"], profile });
+
+    const indexDir = options.index || (await mkdtemp(join(tmpdir(), "dedupe-index-")));
+    const index = await HashIndex.open(indexDir, { memoryLimit, hashBytes, scheme });
+    const previous = index.size;
+    if (previous) console.error(`🗂️  Loaded ${previous} hashes from ${indexDir}`);
+
+    const dedup = new StreamDeduplicator(index, {
+      keys: options.key,
+      ignoreCase: options["ignore-case"],
+      profile,
+    });
+    const output = options.output ? createWriteStream(options.output) : process.stdout;
+    const writer = this.createWriter(formats[0]);
+    let outputError = null;
+    const delivered = pipeline(writer, output, { end: output !== process.stdout }).catch((error) => {
+      outputError = error;
+    });
+
+    const perFile = [];
+    let indexed = 0;
+    let succeeded = false;
+    try {
+      for (const file of files) {
+        const before = { ...dedup.stats };
+        const reader =
+          formats[0] === "csv"
+            ? this.readCSV(file, { dialectSpecs: options.dialect, keys: options.key })
+            : this.readNDJSON(file);
+        await pipeline(Readable.from(reader), dedup.createTransform(), writer, { end: false });
+
+        perFile.push({
+          file,
+          stats: {
+            records: dedup.stats.records - before.records,
+            duplicates: dedup.stats.duplicates - before.duplicates,
+            unique: dedup.stats.unique - before.unique,
+          },
+        });
+      }
+
+      writer.end();
+      await delivered;
+      if (outputError) throw outputError;
+      succeeded = true;
+    } catch (error) {
+      throw outputError || error;
+    } finally {
+      if (!succeeded) writer.destroy();
+      indexed = index.size;
+      // Hashes of a failed run are not kept, so repeating it emits the same records
+      await index.close({ persist: succeeded });
+      if (!options.index) await rm(indexDir, { recursive: true, force: true });
+    }
+
+    if (output !== process.stdout) {
+      console.error(`✅ Unique records written to ${options.output}`);
+    }
+    this.printReport(perFile, dedup.stats, indexed, dedup.missingKeys);
+  }
+}
+
+// Execute CLI if this is the main module
+if (import.meta.url === `file://${process.argv[1]}`) {
+  new StreamDedupCLI().run().catch((error) => {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,204 @@
+/**
+ * Tests for stream-deduplicator.mjs
+ *
+ * Run with: node --test docs/node-mjs/array-utils/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { readdirSync, readFileSync } from "fs";
+import { join } from "path";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+import { HashIndex, StreamDeduplicator } from "./stream-deduplicator.mjs";
+import { runScript, tempDir } from "../test-helpers.mjs";
+
+const CLI_PATH = fileURLToPath(new URL("./stream-deduplicator.mjs", import.meta.url));
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const runCLI = (args, cwd) => runScript(CLI_PATH, args, { cwd });
+
+const ndjson = (...records) => records.map((record) => JSON.stringify(record)).join("\n") + "\n";
+
+describe("HashIndex", () => {
+  test("finds hashes in memory, in spilled segments and after merging them", async (t) => {
+    const dir = tempDir(t);
+    const index = await HashIndex.open(dir, { memoryLimit: 2, maxSegments: 2 });
+    const hashes = Array.from({ length: 9 }, (_, i) => sha256(`record ${i}`));
+
+    for (const hash of hashes) await index.add(hash);
+    assert.equal(index.size, 9);
+    assert.ok(index.segments.length <= 3);
+    for (const hash of hashes) assert.equal(await index.has(hash), true);
+    assert.equal(await index.has(sha256("other")), false);
+
+    await index.close();
+    const reopened = await HashIndex.open(dir);
+    assert.equal(reopened.size, 9);
+    assert.equal(await reopened.has(hashes[4]), true);
+    await reopened.close();
+  });
+
+  test("close without persist leaves the saved index as it was", async (t) => {
+    const dir = tempDir(t);
+    const first = await HashIndex.open(dir, { memoryLimit: 2, maxSegments: 1 });
+    for (let i = 0; i < 4; i++) await first.add(sha256(`kept ${i}`));
+    await first.close();
+    const savedFiles = readdirSync(dir).sort();
+
+    const failed = await HashIndex.open(dir, { memoryLimit: 2, maxSegments: 1 });
+    for (let i = 0; i < 6; i++) await failed.add(sha256(`dropped ${i}`));
+    await failed.close({ persist: false });
+
+    assert.deepEqual(readdirSync(dir).sort(), savedFiles);
+    const reopened = await HashIndex.open(dir);
+    assert.equal(reopened.size, 4);
+    assert.equal(await reopened.has(sha256("kept 3")), true);
+    assert.equal(await reopened.has(sha256("dropped 0")), false);
+    await reopened.close();
+  });
+
+  test("refuses an index built with another digest width", async (t) => {
+    const dir = tempDir(t);
+    const index = await HashIndex.open(dir);
+    await index.add(sha256("x"));
+    await index.close();
+    await assert.rejects(HashIndex.open(dir, { hashBytes: 20 }), /holds 32-byte hashes, not 20/);
+  });
+
+  test("refuses an index built with another hash scheme", async (t) => {
+    const dir = tempDir(t);
+    const strict = StreamDeduplicator.hashScheme({ keys: ["email"] });
+    const index = await HashIndex.open(dir, { scheme: strict });
+    await index.add(sha256("x"));
+    await index.close();
+
+    const reopened = await HashIndex.open(dir, { scheme: StreamDeduplicator.hashScheme({ keys: ["email"] }) });
+    assert.equal(reopened.size, 1);
+    await reopened.close();
+
+    const loose = StreamDeduplicator.hashScheme({ keys: ["email"], profile: "loose" });
+    await assert.rejects(HashIndex.open(dir, { scheme: loose }), /was built with .*"caseFold":false/);
+    const otherKeys = StreamDeduplicator.hashScheme({ keys: ["email"], ignoreCase: true });
+    await assert.rejects(HashIndex.open(dir, { scheme: otherKeys }), /use the same --profile, --key and --ignore-case/);
+  });
+});
+
+describe("StreamDeduplicator", () => {
+  test("passes through records whose content or keys were not seen yet", async (t) => {
+    const index = await HashIndex.open(tempDir(t));
+    const dedup = new StreamDeduplicator(index, { keys: ["email"], ignoreCase: true });
+    const unique = await Readable.from([
+      { email: "A@x.com", n: 1 },
+      { email: "a@x.com", n: 2 },
+      { n: 3 },
+      { n: 4 },
+      { email: "b@x.com", n: 5 },
+    ])
+      .pipe(dedup.createTransform())
+      .toArray();
+
+    assert.deepEqual(unique.map(({ n }) => n), [1, 3, 4, 5]);
+    assert.deepEqual(dedup.stats, { records: 5, duplicates: 1, unique: 4 });
+    await index.close();
+  });
+
+  test("rejects fuzzy keys", async (t) => {
+    const index = await HashIndex.open(tempDir(t));
+    assert.throws(() => new StreamDeduplicator(index, { keys: [{ path: "name", fuzzy: 0.8 }] }), /Fuzzy keys/);
+    await index.close();
+  });
+});
+
+describe("stream-deduplicator CLI", () => {
+  test("drops records seen in earlier files and earlier runs", (t) => {
+    const dir = tempDir(t, {
+      "a.ndjson": ndjson({ id: 1 }, { id: 2 }, { id: 1 }),
+      "b.ndjson": ndjson({ id: 2 }, { id: 3 }),
+    });
+
+    const first = runCLI(["--index", "idx", "a.ndjson"], dir);
+    assert.equal(first.status, 0, first.stderr);
+    assert.equal(first.stdout, ndjson({ id: 1 }, { id: 2 }));
+
+    const second = runCLI(["--index", "idx", "-o", "delta.ndjson", "a.ndjson", "b.ndjson"], dir);
+    assert.equal(second.status, 0, second.stderr);
+    assert.equal(readFileSync(join(dir, "delta.ndjson"), "utf8"), ndjson({ id: 3 }));
+  });
+
+  test("does not save the index when a run fails", (t) => {
+    const dir = tempDir(t, {
+      "a.csv": "id,name\n1,Ann\n2,Bob\n",
+      "b.csv": "id,email\n3,c@x.com\n",
+    });
+
+    const failed = runCLI(["--index", "idx", "a.csv", "b.csv"], dir);
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /b\.csv has a different CSV header/);
+
+    const retry = runCLI(["--index", "idx", "a.csv"], dir);
+    assert.equal(retry.status, 0, retry.stderr);
+    assert.equal(retry.stdout, "id,name\n1,Ann\n2,Bob\n");
+  });
+
+  test("reads CSV in the sniffed dialect", (t) => {
+    // BOM, semicolons and CR line endings
+    const dir = tempDir(t, { "a.csv": "\uFEFFid;name\r1;Ann\r1;Ann again\r2;\"Bob, Jr\"\r" });
+
+    const result = runCLI(["-k", "id", "a.csv"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, 'id,name\n1,Ann\n2,"Bob, Jr"\n');
+  });
+
+  test("fails on a --key that is not a CSV column and warns on records without it", (t) => {
+    const dir = tempDir(t, {
+      "a.csv": "id,name\n1,Ann\n",
+      "a.ndjson": ndjson({ email: "a@x.com" }, { id: 2 }, { id: 3 }),
+    });
+
+    const csv = runCLI(["-k", "email", "a.csv"], dir);
+    assert.equal(csv.status, 1);
+    assert.match(csv.stderr, /a\.csv has no column "email" for --key; columns are: id, name/);
+
+    const lines = runCLI(["-k", "email", "a.ndjson"], dir);
+    assert.equal(lines.status, 0, lines.stderr);
+    assert.match(lines.stderr, /2 of 3 records have no "email" key/);
+  });
+
+  test("does not save the index when the output cannot be written", (t) => {
+    const dir = tempDir(t, { "a.ndjson": ndjson({ id: 1 }) });
+
+    const failed = runCLI(["--index", "idx", "-o", join(dir, "missing", "out.ndjson"), "a.ndjson"], dir);
+    assert.equal(failed.status, 1);
+    assert.match(failed.stderr, /ENOENT/);
+
+    assert.equal(runCLI(["--index", "idx", "a.ndjson"], dir).stdout, ndjson({ id: 1 }));
+  });
+
+  test("refuses to reuse an index with other --key options", (t) => {
+    const dir = tempDir(t, { "a.ndjson": ndjson({ id: 1, email: "a@x.com" }) });
+
+    assert.equal(runCLI(["--index", "idx", "-k", "id", "a.ndjson"], dir).status, 0);
+    const result = runCLI(["--index", "idx", "-k", "email", "a.ndjson"], dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /was built with/);
+  });
+
+  test("treats --profile constructor as a profile file, not a built-in name", (t) => {
+    const dir = tempDir(t, { "a.ndjson": ndjson({ id: 1 }) });
+
+    const result = runCLI(["--profile", "constructor", "a.ndjson"], dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /ENOENT.*constructor/);
+  });
+
+  test("rejects .json input instead of reading it as NDJSON", (t) => {
+    const dir = tempDir(t, { "a.json": '[{"id": 1},\n{"id": 1}]' });
+
+    const result = runCLI(["a.json"], dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /JSON arrays cannot be streamed/);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * CSV Dialect Sniffer
+ *
+ * Detects how a CSV file is written so tools do not have to assume comma-separated,
+ * UTF-8, header-first files:
+ * - encoding: UTF-8 (with or without BOM), UTF-16 LE/BE (by BOM) or Latin-1 fallback
+ * - delimiter: , ; tab or |, whichever splits the sample lines most consistently
+ * - quote character: " or '
+ * - line endings: \r\n, \n or \r
+ * - header presence, by comparing the first row with the rows below it
+ *
+ * Used by extract-column-json.mjs, array-utils/stream-deduplicator.mjs and the
+ * sequelize-csv-to-schema-model generator. All accept repeatable `--dialect key=value`
+ * overrides (e.g. --dialect delimiter=semicolon --dialect header=false); passing any
+ * --dialect, or `--dialect show`, prints the result.
+ */
+
+import { open } from "fs/promises";
+import { Transform } from "stream";
+
+const SAMPLE_BYTES = 64 * 1024;
+const SAMPLE_ROWS = 50;
+const DELIMITERS = [",", ";", "\t", "|"];
+const DELIMITER_NAMES = { comma: ",", semicolon: ";", tab: "\t", pipe: "|" };
+const LINE_ENDING_NAMES = { crlf: "\r\n", lf: "\n", cr: "\r" };
+const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "latin1"];
+const BOMS = [[0xef, 0xbb, 0xbf], [0xff, 0xfe], [0xfe, 0xff]];
+
+// Bytes of the byte order mark a buffer starts with, whichever encoding decodes it
+function bomLength(buffer) {
+  const bom = BOMS.find((bytes) => bytes.every((byte, i) => buffer[i] === byte));
+  return bom ? bom.length : 0;
+}
+
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: "utf-8", bom: true };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: "utf-16le", bom: true };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: "utf-16be", bom: true };
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer, { stream: true });
+    return { encoding: "utf-8", bom: false };
+  } catch {
+    return { encoding: "latin1", bom: false };
+  }
+}
+
+function detectLineEnding(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/(?<!\r)\n/g) || []).length;
+  const cr = (text.match(/\r(?!\n)/g) || []).length;
+  if (crlf >= lf && crlf >= cr && crlf > 0) return "\r\n";
+  return cr > lf ? "\r" : "\n";
+}
+
+/**
+ * Split sample text into rows of fields, honouring quotes. The last row is
+ * dropped when the sample was cut mid-file.
+ */
+function splitRows(text, delimiter, quote, truncated) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length && rows.length < SAMPLE_ROWS; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === quote && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (!truncated && (field !== "" || row.length)) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function detectQuote(text) {
+  const count = (quote) => (text.match(new RegExp(`(^|[,;\\t|\\n])${quote}|${quote}($|[,;\\t|\\r\\n])`, "g")) || []).length;
+  return count("'") > count('"') ? "'" : '"';
+}
+
+/**
+ * Pick the delimiter that gives the same (non-zero) field count on most rows
+ */
+function detectDelimiter(text, quote, truncated) {
+  let best = { delimiter: ",", score: -1 };
+
+  for (const delimiter of DELIMITERS) {
+    const widths = splitRows(text, delimiter, quote, truncated).map((row) => row.length);
+    if (widths.length === 0) continue;
+
+    const frequency = new Map();
+    widths.forEach((width) => frequency.set(width, (frequency.get(width) || 0) + 1));
+    const [modeWidth, modeCount] = [...frequency].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    if (modeWidth < 2) continue;
+
+    // Consistency first, wider rows break ties
+    const score = (modeCount / widths.length) * 1000 + modeWidth;
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+function valueKind(value) {
+  const trimmed = value.trim();
+  if (trimmed === "") return "empty";
+  if (/^[+-]?(\d+([.,]\d+)?|\d{1,3}([.,]\d{3})+([.,]\d+)?)$/.test(trimmed)) return "number";
+  if (/^\d{4}-\d{2}-\d{2}|^\d{1,2}[./]\d{1,2}[./]\d{2,4}$/.test(trimmed)) return "date";
+  if (/^(true|false)$/i.test(trimmed)) return "boolean";
+  return "text";
+}
+
+/**
+ * A header row is text where the data below it has numbers, dates or booleans,
+ * or its values differ clearly in length from the column's data.
+ */
+function detectHeader(rows) {
+  if (rows.length < 2) return true;
+  const [first, ...data] = rows;
+
+  const names = first.map((value) => value.trim());
+  if (names.some((name) => name === "") || new Set(names).size !== names.length) return false;
+
+  let votes = 0;
+  first.forEach((value, column) => {
+    const kinds = data.map((row) => valueKind(row[column] ?? "")).filter((kind) => kind !== "empty");
+    if (kinds.length === 0) return;
+
+    const firstKind = valueKind(value);
+    const typed = kinds.filter((kind) => kind !== "text").length / kinds.length;
+    if (typed >= 0.8) {
+      votes += firstKind === "text" ? 1 : -1;
+      return;
+    }
+
+    const lengths = data.map((row) => (row[column] ?? "").length);
+    const average = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+    if (lengths.every((length) => length === lengths[0])) {
+      votes += value.length !== lengths[0] ? 1 : -1;
+    } else if (Math.abs(value.length - average) > average) {
+      votes += 1;
+    }
+  });
+
+  // All-text files give no evidence either way; assume the common case
+  return votes >= 0;
+}
+
+/**
+ * Decode a whole buffer with a dialect's encoding, dropping any BOM (also when
+ * --dialect encoding=... names another encoding than the BOM's)
+ */
+export function decodeBuffer(buffer, dialect) {
+  return new TextDecoder(dialect.encoding).decode(dialect.bom ? buffer.subarray(bomLength(buffer)) : buffer);
+}
+
+/**
+ * Detect the dialect of a CSV sample (the start of the file is enough)
+ * @param {Buffer} buffer
+ * @returns {{ encoding: string, bom: boolean, delimiter: string, quote: string, lineEnding: string, header: boolean }}
+ */
+export function sniffDialect(buffer) {
+  const sample = buffer.subarray(0, SAMPLE_BYTES);
+  const truncated = buffer.length >= SAMPLE_BYTES;
+  const { encoding, bom } = detectEncoding(sample);
+  const text = new TextDecoder(encoding).decode(sample);
+
+  const quote = detectQuote(text);
+  const delimiter = detectDelimiter(text, quote, truncated);
+  return {
+    encoding,
+    bom,
+    delimiter,
+    quote,
+    lineEnding: detectLineEnding(text),
+    header: detectHeader(splitRows(text, delimiter, quote, truncated)),
+  };
+}
+
+/**
+ * Parse repeatable `--dialect key=value` flags. "show" only asks for the printout.
+ * Keys: delimiter (character or comma/semicolon/tab/pipe), quote, encoding,
+ * header (true/false), lineEnding (crlf/lf/cr)
+ */
+export function parseDialectOverrides(specs = []) {
+  const overrides = {};
+  for (const spec of specs) {
+    if (spec === "show") continue;
+
+    const match = spec.match(/^(\w+)=(.*)$/s);
+    if (!match) {
+      throw new Error(`Invalid --dialect "${spec}", expected key=value or show`);
+    }
+    const [, key, value] = match;
+
+    switch (key) {
+      case "delimiter":
+        overrides.delimiter = DELIMITER_NAMES[value] || value;
+        if (overrides.delimiter.length !== 1) throw new Error(`Delimiter must be one character, got "${value}"`);
+        break;
+      case "quote":
+        if (value.length !== 1) throw new Error(`Quote must be one character, got "${value}"`);
+        overrides.quote = value;
+        break;
+      case "encoding":
+        if (!ENCODINGS.includes(value.toLowerCase())) {
+          throw new Error(`Unsupported encoding "${value}". Use: ${ENCODINGS.join(", ")}`);
+        }
+        overrides.encoding = value.toLowerCase();
+        break;
+      case "header":
+        if (!["true", "false"].includes(value)) throw new Error(`header must be true or false, got "${value}"`);
+        overrides.header = value === "true";
+        break;
+      case "lineEnding":
+        if (!LINE_ENDING_NAMES[value]) throw new Error(`lineEnding must be crlf, lf or cr, got "${value}"`);
+        overrides.lineEnding = LINE_ENDING_NAMES[value];
+        break;
+      default:
+        throw new Error(`Unknown dialect key "${key}"`);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * The start of a file, enough for sniffDialect
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+export async function readSample(filePath) {
+  const handle = await open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SAMPLE_BYTES), 0, SAMPLE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Sniff a sample and apply `--dialect` overrides, which win over detection
+ */
+export function resolveDialect(buffer, specs = []) {
+  const overrides = parseDialectOverrides(specs);
+  return { ...sniffDialect(buffer), ...overrides };
+}
+
+export function describeDialect(dialect) {
+  const show = (value) => JSON.stringify(value);
+  return (
+    `🔎 CSV dialect: encoding=${dialect.encoding}${dialect.bom ? " (BOM)" : ""}, ` +
+    `delimiter=${show(dialect.delimiter)}, quote=${show(dialect.quote)}, ` +
+    `lineEnding=${show(dialect.lineEnding)}, header=${dialect.header}`
+  );
+}
+
+/**
+ * csv-parse `record_delimiter` for a dialect. CRLF is always accepted as well,
+ * so a CR file whose header ends in CRLF does not leave a "\n" in the next row.
+ */
+export function recordDelimiters(dialect) {
+  return [...new Set(["\r\n", dialect.lineEnding])];
+}
+
+/**
+ * Column names for header-less files: column_1, column_2, ...
+ */
+export function generatedHeaders(width) {
+  return Array.from({ length: width }, (_, i) => `column_${i + 1}`);
+}
+
+/**
+ * Transform bytes to text in the dialect's encoding, safe across chunk boundaries.
+ * Drops a BOM like decodeBuffer.
+ */
+export function createDecodeStream(dialect) {
+  const decoder = new TextDecoder(dialect.encoding);
+  let first = true;
+  return new Transform({
+    decodeStrings: true,
+    transform(chunk, encoding, callback) {
+      if (first && dialect.bom) chunk = chunk.subarray(bomLength(chunk));
+      first = false;
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests for csv-dialect.mjs
+ *
+ * Run with: node --test docs/node-mjs/csv/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+import {
+  createDecodeStream,
+  decodeBuffer,
+  describeDialect,
+  parseDialectOverrides,
+  recordDelimiters,
+  resolveDialect,
+  sniffDialect,
+} from "./csv-dialect.mjs";
+import { runScript, tempDir } from "../test-helpers.mjs";
+
+const EXTRACT_CLI = fileURLToPath(new URL("./extract-column-json.mjs", import.meta.url));
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+
+describe("sniffDialect", () => {
+  test("detects delimiter, quote, line ending and header", () => {
+    const dialect = sniffDialect(Buffer.from("name;amount;paid\r\nAnn;12,50;true\r\n'Bob; Jr';7;false\r\n"));
+
+    assert.deepEqual(dialect, {
+      encoding: "utf-8",
+      bom: false,
+      delimiter: ";",
+      quote: "'",
+      lineEnding: "\r\n",
+      header: true,
+    });
+  });
+
+  test("detects files without a header row", () => {
+    assert.equal(sniffDialect(Buffer.from("1,2024-01-01,true\n2,2024-02-01,false\n")).header, false);
+    assert.equal(sniffDialect(Buffer.from("a|b\nc|d\n")).delimiter, "|");
+  });
+
+  test("detects encodings by BOM and falls back to Latin-1", () => {
+    assert.equal(sniffDialect(Buffer.concat([UTF8_BOM, Buffer.from("a,b\n1,2\n")])).encoding, "utf-8");
+    assert.equal(sniffDialect(Buffer.from("\uFEFFa\tb\n1\t2\n", "utf16le")).encoding, "utf-16le");
+    assert.equal(sniffDialect(Buffer.from("café,b\n1,2\n", "latin1")).encoding, "latin1");
+  });
+});
+
+describe("dialect overrides", () => {
+  test("parse names and validate values", () => {
+    assert.deepEqual(
+      parseDialectOverrides(["show", "delimiter=tab", "quote='", "encoding=LATIN1", "header=false", "lineEnding=cr"]),
+      { delimiter: "\t", quote: "'", encoding: "latin1", header: false, lineEnding: "\r" }
+    );
+    assert.throws(() => parseDialectOverrides(["delimiter=;;"]), /one character/);
+    assert.throws(() => parseDialectOverrides(["encoding=ebcdic"]), /Unsupported encoding "ebcdic"/);
+    assert.throws(() => parseDialectOverrides(["lineEnding=unix"]), /crlf, lf or cr/);
+    assert.throws(() => parseDialectOverrides(["color=red"]), /Unknown dialect key "color"/);
+    assert.throws(() => parseDialectOverrides(["header"]), /expected key=value or show/);
+  });
+
+  test("win over detection", () => {
+    const dialect = resolveDialect(Buffer.from("a,b\n1,2\n"), ["delimiter=semicolon", "header=false"]);
+    assert.equal(dialect.delimiter, ";");
+    assert.equal(dialect.header, false);
+    assert.match(describeDialect(dialect), /delimiter=";".*header=false/);
+  });
+
+  test("always split records on CRLF as well", () => {
+    assert.deepEqual(recordDelimiters({ lineEnding: "\r" }), ["\r\n", "\r"]);
+    assert.deepEqual(recordDelimiters({ lineEnding: "\r\n" }), ["\r\n"]);
+  });
+});
+
+describe("decoding", () => {
+  const bomFile = Buffer.concat([UTF8_BOM, Buffer.from("name\ncafé\n")]);
+
+  test("drops the BOM with the detected encoding", async () => {
+    const dialect = resolveDialect(bomFile);
+    assert.equal(decodeBuffer(bomFile, dialect), "name\ncafé\n");
+    assert.equal((await Readable.from([bomFile]).pipe(createDecodeStream(dialect)).toArray()).join(""), "name\ncafé\n");
+  });
+
+  test("drops the BOM when the encoding is overridden", async () => {
+    const dialect = resolveDialect(bomFile, ["encoding=latin1"]);
+    assert.equal(decodeBuffer(bomFile, dialect), "name\ncafÃ©\n");
+    assert.equal((await Readable.from([bomFile]).pipe(createDecodeStream(dialect)).toArray()).join(""), "name\ncafÃ©\n");
+  });
+});
+
+describe("dialect in extract-column-json", () => {
+  test("splits records on the dialect's line ending", (t) => {
+    // CR line endings, but the first record ends in CRLF
+    const dir = tempDir(t, { "old-mac.csv": "id,note\r\n1,x\r2,y\r" });
+
+    const result = runScript(EXTRACT_CLI, ["old-mac.csv", "id,note", "-f", "ndjson"], { cwd: dir });
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, '{"id":"1","note":"x"}\n{"id":"2","note":"y"}\n');
+  });
+});
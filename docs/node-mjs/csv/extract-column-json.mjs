@@ -1,39 +1,199 @@
 #!/usr/bin/env node
 
 import fs from "fs";
-import readline from "readline";
 import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { parseArgs } from "util";
 import { parse } from "csv-parse";
+import {
+  createDecodeStream,
+  describeDialect,
+  generatedHeaders,
+  readSample,
+  recordDelimiters,
+  resolveDialect,
+} from "./csv-dialect.mjs";
 
-const [, , csvFilePath, columnName] = process.argv;
+const OUTPUT_FORMATS = ["json", "ndjson", "lines"];
 
-if (!csvFilePath || !columnName) {
-  console.error("Usage: node extract-column-cli.js <csvFilePath> <columnName>");
+const usage = `Usage: node extract-column-json.mjs <csvFilePath> <column[,column...]> [options]
+
+Options:
+  -c, --column <name>      Column to extract (repeatable, alternative to the positional list)
+  -w, --where <filter>     Keep rows where column=value or column!=value (repeatable, all must match)
+  -u, --unique             Emit each distinct value (or column combination) once
+      --count              Emit each distinct value with the number of rows it appears in
+  -f, --format <format>    json (array, default), ndjson or lines (tab-separated, with
+                           backslash, tab, CR and LF inside values written as \\\\, \\t, \\r, \\n)
+  -d, --dialect <key=val>  Override the detected CSV dialect (repeatable): delimiter, quote,
+                           encoding, header, lineEnding. Any --dialect (or "--dialect show")
+                           prints the dialect in use. Without headers, columns are column_1..N
+  -h, --help               Show this help`;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    column: { type: "string", short: "c", multiple: true },
+    where: { type: "string", short: "w", multiple: true },
+    unique: { type: "boolean", short: "u", default: false },
+    count: { type: "boolean", default: false },
+    format: { type: "string", short: "f", default: "json" },
+    dialect: { type: "string", short: "d", multiple: true },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+if (options.help) {
+  console.log(usage);
+  process.exit(0);
+}
+
+const [csvFilePath, columnList] = positionals;
+const columns = [
+  ...(columnList ? columnList.split(",") : []),
+  ...(options.column || []),
+].map((name) => name.trim()).filter(Boolean);
+
+if (!csvFilePath || columns.length === 0) {
+  console.error(usage);
+  process.exit(1);
+}
+if (!OUTPUT_FORMATS.includes(options.format)) {
+  console.error(`Invalid format "${options.format}". Use: ${OUTPUT_FORMATS.join(", ")}`);
   process.exit(1);
 }
 
+// "status=active" or "country!=US"
+const filters = (options.where || []).map((expression) => {
+  const match = expression.match(/^([^!=]+)(!?=)(.*)$/);
+  if (!match) {
+    console.error(`Invalid --where "${expression}", expected column=value or column!=value`);
+    process.exit(1);
+  }
+  return { column: match[1].trim(), negate: match[2] === "!=", value: match[3].trim() };
+});
+
 const fullPath = path.resolve(process.cwd(), csvFilePath);
+const single = columns.length === 1;
+
+// Fail fast when a requested column is not in the header row
+function checkHeaders(headers) {
+  const wanted = [...columns, ...filters.map((filter) => filter.column)];
+  const missing = wanted.filter((name) => !headers.includes(name));
+  if (missing.length) {
+    throw new Error(
+      `Column(s) not found: ${[...new Set(missing)].join(", ")}\nAvailable headers: ${headers.join(", ")}`
+    );
+  }
+  return headers;
+}
+
+function project(row) {
+  if (single) return row[columns[0]];
+  return Object.fromEntries(columns.map((name) => [name, row[name]]));
+}
+
+// Keep one item per line and one field per tab in the lines format
+const LINE_ESCAPES = { "\\": "\\\\", "\t": "\\t", "\r": "\\r", "\n": "\\n" };
+
+function escapeLineField(value) {
+  return String(value ?? "").replace(/[\\\t\r\n]/g, (char) => LINE_ESCAPES[char]);
+}
+
+function formatItem(item, first) {
+  if (options.format === "ndjson") return JSON.stringify(item) + "\n";
+  if (options.format === "lines") {
+    const fields = typeof item === "object" ? Object.values(item) : [item];
+    return fields.map(escapeLineField).join("\t") + "\n";
+  }
+  return (first ? "[\n  " : ",\n  ") + JSON.stringify(item);
+}
 
-const columnValues = [];
+let emitted = 0;
+let headers = null;
+const seen = new Set();
+const counts = new Map();
 
-fs.createReadStream(fullPath)
-  .pipe(parse({ columns: true, trim: true }))
-  .on("data", (row) => {
-    if (columnName in row) {
-      columnValues.push(row[columnName]);
+const extractor = new Transform({
+  writableObjectMode: true,
+  transform(record, encoding, callback) {
+    if (!headers) {
+      try {
+        headers = checkHeaders(dialect.header ? record : generatedHeaders(record.length));
+      } catch (err) {
+        return callback(err);
+      }
+      if (dialect.header) return callback();
     }
-  })
-  .on("end", () => {
-    console.log(JSON.stringify(columnValues, null, 2));
-  })
-  .on("error", (err) => {
-    console.error("Error reading or parsing CSV:", err.message);
-    process.exit(1);
-  });
+
+    const row = Object.fromEntries(headers.map((name, i) => [name, record[i] ?? ""]));
+    const matches = filters.every(({ column, negate, value }) => (row[column] === value) !== negate);
+    if (!matches) return callback();
+
+    const item = project(row);
+    const key = single ? item : JSON.stringify(item);
+
+    // Counting needs every row first; the groups are emitted at the end
+    if (options.count) {
+      const entry = counts.get(key);
+      if (entry) entry.count++;
+      else counts.set(key, { item, count: 1 });
+      return callback();
+    }
+
+    if (options.unique) {
+      if (seen.has(key)) return callback();
+      seen.add(key);
+    }
+
+    callback(null, formatItem(item, emitted++ === 0));
+  },
+  flush(callback) {
+    if (options.count) {
+      const groups = [...counts.values()].sort((a, b) => b.count - a.count);
+      for (const { item, count } of groups) {
+        const entry = single ? { [columns[0]]: item, count } : { ...item, count };
+        this.push(formatItem(entry, emitted++ === 0));
+      }
+    }
+    if (options.format === "json") this.push(emitted ? "\n]\n" : "[]\n");
+    callback();
+  },
+});
+
+let dialect;
+try {
+  dialect = resolveDialect(await readSample(fullPath), options.dialect);
+  if (options.dialect) console.error(describeDialect(dialect));
+
+  await pipeline(
+    fs.createReadStream(fullPath),
+    createDecodeStream(dialect),
+    parse({
+      delimiter: dialect.delimiter,
+      quote: dialect.quote,
+      record_delimiter: recordDelimiters(dialect),
+      trim: true,
+      relax_column_count: true,
+    }),
+    extractor,
+    process.stdout
+  );
+} catch (err) {
+  // The reader closed the pipe (e.g. `| head`), which is a normal way to stop
+  if (err.code === "EPIPE") process.exit(0);
+  console.error("Error reading or parsing CSV:", err.message);
+  process.exit(1);
+}
 
 /*
 ```
 npm install csv-parse
-node extract-column-cli.js sample.csv email
+node extract-column-json.mjs sample.csv email
+node extract-column-json.mjs sample.csv name,email --where status=active --format ndjson
+node extract-column-json.mjs sample.csv country --count
+node extract-column-json.mjs sample.csv email --unique --format lines > emails.txt
+node extract-column-json.mjs export.csv column_2 --dialect delimiter=semicolon --dialect header=false
 ```
 */
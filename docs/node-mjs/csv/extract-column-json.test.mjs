@@ -0,0 +1,78 @@
+/**
+ * Tests for extract-column-json.mjs
+ *
+ * Run with: node --test docs/node-mjs/csv/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import { fileURLToPath } from "url";
+import { runScript, tempDir } from "../test-helpers.mjs";
+
+const CLI_PATH = fileURLToPath(new URL("./extract-column-json.mjs", import.meta.url));
+
+const runCLI = (args, cwd) => runScript(CLI_PATH, args, { cwd });
+
+const PEOPLE = "name,country,status\nAnn,US,active\nBob,DE,inactive\nCy,US,active\nDi,FR,active\n";
+
+describe("extract-column-json CLI", () => {
+  test("extracts one column as a JSON array", (t) => {
+    const dir = tempDir(t, { "people.csv": PEOPLE });
+
+    const result = runCLI(["people.csv", "name"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), ["Ann", "Bob", "Cy", "Di"]);
+  });
+
+  test("extracts several columns as objects, filtered with --where", (t) => {
+    const dir = tempDir(t, { "people.csv": PEOPLE });
+
+    const result = runCLI(["people.csv", "name,country", "-w", "status=active", "-w", "country!=FR", "-f", "ndjson"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, '{"name":"Ann","country":"US"}\n{"name":"Cy","country":"US"}\n');
+  });
+
+  test("aggregates with --unique and --count", (t) => {
+    const dir = tempDir(t, { "people.csv": PEOPLE });
+
+    assert.equal(runCLI(["people.csv", "country", "-u", "-f", "lines"], dir).stdout, "US\nDE\nFR\n");
+    assert.deepEqual(JSON.parse(runCLI(["people.csv", "-c", "country", "--count"], dir).stdout), [
+      { country: "US", count: 2 },
+      { country: "DE", count: 1 },
+      { country: "FR", count: 1 },
+    ]);
+  });
+
+  test("escapes tabs, newlines and backslashes in the lines format", (t) => {
+    const dir = tempDir(t, { "notes.csv": 'id,note\n1,"two\nlines"\n2,"a\tb"\n3,C:\\temp\n' });
+
+    const result = runCLI(["notes.csv", "id,note", "-f", "lines"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, "1\ttwo\\nlines\n2\ta\\tb\n3\tC:\\\\temp\n");
+  });
+
+  test("exits non-zero and lists the headers when a column is missing", (t) => {
+    const dir = tempDir(t, { "people.csv": PEOPLE });
+
+    const result = runCLI(["people.csv", "email", "-w", "city=Paris"], dir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Column\(s\) not found: email, city/);
+    assert.match(result.stderr, /Available headers: name, country, status/);
+  });
+
+  test("stops quietly when the reader closes the pipe", async (t) => {
+    const rows = Array.from({ length: 200000 }, (_, i) => `${i},row ${i}`);
+    const dir = tempDir(t, { "big.csv": `id,label\n${rows.join("\n")}\n` });
+
+    const child = spawn(process.execPath, [CLI_PATH, "big.csv", "label", "-f", "lines"], { cwd: dir });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.stdout.once("data", () => child.stdout.destroy());
+
+    const [code] = await once(child, "close");
+    assert.equal(code, 0, stderr);
+    assert.equal(stderr, "");
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Minimal JSON Schema Validator
+ *
+ * Dependency-free validator for the commonly used subset of JSON Schema (draft-07 /
+ * 2019-09 keywords). Used by json_to_csv.mjs --schema to reject bad records before they
+ * reach a CSV.
+ *
+ * Supported keywords:
+ * - type (including "integer" and type arrays), enum, const
+ * - properties, required, additionalProperties, patternProperties, minProperties, maxProperties
+ * - items (single schema or tuple), additionalItems, minItems, maxItems, uniqueItems
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - minLength, maxLength, pattern, format (date-time, date, time, email, uri, uuid, ipv4)
+ * - allOf, anyOf, oneOf, not, if/then/else
+ * - $ref to local definitions ("#/definitions/..." or "#/$defs/...")
+ *
+ * Each error carries a JSON Pointer to the failing value, e.g. "/orders/0/total".
+ */
+
+const FORMATS = {
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    time: value => /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/i.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    ipv4: value => /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/.test(value)
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+class JSONSchemaValidator {
+    constructor(schema) {
+        if (typeof schema !== 'object' || schema === null) {
+            throw new Error('JSON Schema must be an object');
+        }
+        this.schema = schema;
+    }
+
+    /**
+     * Validate a value against the schema
+     * @param {*} value
+     * @returns {Array<{ path: string, message: string }>} Empty when valid
+     */
+    validate(value) {
+        const errors = [];
+        this.validateNode(this.schema, value, '', errors);
+        return errors;
+    }
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local $ref values are supported: ${ref}`);
+        }
+
+        let target = this.schema;
+        for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+            const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+            if (target === undefined || target === null) break;
+            target = target[key];
+        }
+
+        if (target === undefined) {
+            throw new Error(`Unresolvable $ref: ${ref}`);
+        }
+        return target;
+    }
+
+    validateNode(schema, value, path, errors) {
+        if (schema === true) return;
+        if (schema === false) {
+            errors.push({ path, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            this.validateNode(this.resolveRef(schema.$ref), value, path, errors);
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+            errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+        }
+
+        if ('const' in schema && !deepEqual(schema.const, value)) {
+            errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+        }
+
+        const type = typeOf(value);
+        if (type === 'integer' || type === 'number') this.validateNumber(schema, value, path, errors);
+        if (type === 'string') this.validateString(schema, value, path, errors);
+        if (type === 'array') this.validateArray(schema, value, path, errors);
+        if (type === 'object') this.validateObject(schema, value, path, errors);
+
+        this.validateCombinators(schema, value, path, errors);
+    }
+
+    validateNumber(schema, value, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+        // Draft-04 used booleans for exclusiveMinimum/Maximum; later drafts use numbers
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+        }
+        if (schema.multipleOf !== undefined) {
+            const quotient = value / schema.multipleOf;
+            if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+                errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+            }
+        }
+    }
+
+    validateString(schema, value, path, errors) {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push({ path, message: `must be a valid ${schema.format}` });
+        }
+    }
+
+    validateArray(schema, value, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueItems) {
+            for (let i = 1; i < value.length; i++) {
+                if (value.slice(0, i).some(item => deepEqual(item, value[i]))) {
+                    errors.push({ path, message: `must not contain duplicate items (index ${i})` });
+                    break;
+                }
+            }
+        }
+
+        if (Array.isArray(schema.items)) {
+            schema.items.forEach((itemSchema, index) => {
+                if (index < value.length) {
+                    this.validateNode(itemSchema, value[index], `${path}/${index}`, errors);
+                }
+            });
+            if (schema.additionalItems !== undefined) {
+                for (let index = schema.items.length; index < value.length; index++) {
+                    this.validateNode(schema.additionalItems, value[index], `${path}/${index}`, errors);
+                }
+            }
+        } else if (schema.items !== undefined) {
+            value.forEach((item, index) => this.validateNode(schema.items, item, `${path}/${index}`, errors));
+        }
+    }
+
+    validateObject(schema, value, path, errors) {
+        const keys = Object.keys(value);
+
+        for (const key of schema.required || []) {
+            if (!Object.hasOwn(value, key)) {
+                errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+            }
+        }
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+        }
+
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [new RegExp(pattern, 'u'), subschema]);
+
+        for (const key of keys) {
+            const childPath = `${path}/${escapePointer(key)}`;
+            let matched = false;
+
+            if (Object.hasOwn(properties, key)) {
+                matched = true;
+                this.validateNode(properties[key], value[key], childPath, errors);
+            }
+            for (const [pattern, subschema] of patterns) {
+                if (pattern.test(key)) {
+                    matched = true;
+                    this.validateNode(subschema, value[key], childPath, errors);
+                }
+            }
+
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'is not an allowed property' });
+                } else {
+                    this.validateNode(schema.additionalProperties, value[key], childPath, errors);
+                }
+            }
+        }
+    }
+
+    validateCombinators(schema, value, path, errors) {
+        const passes = subschema => {
+            const subErrors = [];
+            this.validateNode(subschema, value, path, subErrors);
+            return subErrors;
+        };
+
+        if (schema.allOf) {
+            for (const subschema of schema.allOf) {
+                errors.push(...passes(subschema));
+            }
+        }
+        if (schema.anyOf && !schema.anyOf.some(subschema => passes(subschema).length === 0)) {
+            errors.push({ path, message: 'must match at least one schema in anyOf' });
+        }
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(subschema => passes(subschema).length === 0).length;
+            if (matches !== 1) {
+                errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches})` });
+            }
+        }
+        if (schema.not !== undefined && passes(schema.not).length === 0) {
+            errors.push({ path, message: 'must not match the schema in not' });
+        }
+        if (schema.if !== undefined) {
+            const branch = passes(schema.if).length === 0 ? schema.then : schema.else;
+            if (branch !== undefined) errors.push(...passes(branch));
+        }
+    }
+}
+
+export { JSONSchemaValidator };
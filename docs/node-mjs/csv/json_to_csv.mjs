@@ -24,20 +24,740 @@
  * Features:
  * - Convert JSON arrays to CSV format with full schema detection
  * - Stream processing for large files to handle memory constraints
+ * - NDJSON / JSON Lines input with per-line error reporting (skip or abort)
+ * - Reverse CSV to JSON conversion that rebuilds nested objects from dotted headers
  * - Flexible input/output options (file, stdin/stdout)
  * - Custom delimiter support for different CSV standards
  * - Header customization and nested object flattening
+ * - Per-path array strategies: JSON cell, indexed columns, joined values or row explosion
+ * - Column mapping spec files: source paths, header labels, defaults and value transforms
+ * - Row filtering (--where) and sorting (--sort-by) on flattened keys without eval
+ * - Output as CSV, TSV, XLSX (typed cells, frozen header), Markdown or HTML tables
+ * - CSV injection protection: formula-like cells are neutralized by default
+ * - Column profiling (types, null rate, cardinality) and JSON Schema validation with rejects
+ * - Batch conversion of globs/directories, merged or one output per file, with a summary
  * - **Custom column ordering** - specify exact column order via Array<String>
  * - Progress indication for long-running conversions
  * - Comprehensive error handling and verbose/debug modes
  */
 
 import { createReadStream, createWriteStream, existsSync, statSync } from 'fs';
-import { readFile, writeFile } from 'fs/promises';
+import { mkdir, readdir, readFile, rm, writeFile } from 'fs/promises';
 import { pipeline } from 'stream/promises';
 import { Transform } from 'stream';
-import { resolve, extname, basename } from 'path';
+import { resolve, extname, basename, join } from 'path';
 import { parseArgs } from 'util';
+import { XLSXWriter } from './xlsx-writer.mjs';
+import { JSONSchemaValidator } from './json-schema-validator.mjs';
+
+const NDJSON_EXTENSIONS = ['.ndjson', '.jsonl'];
+const ARRAY_STRATEGIES = ['json', 'index', 'explode', 'join'];
+// Cells starting with these characters are evaluated as formulas by spreadsheet apps.
+// Leading apostrophes are included so that an already-escaped value stays reversible.
+const FORMULA_TRIGGER_PATTERN = /^'*[=+\-@\t\r]/;
+const NUMERIC_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const OUTPUT_FORMATS = ['csv', 'tsv', 'xlsx', 'markdown', 'html'];
+const GLOB_CHARACTERS = /[*?[\]{}]/;
+const FORMAT_EXTENSIONS = { csv: '.csv', tsv: '.tsv', xlsx: '.xlsx', markdown: '.md', html: '.html' };
+const OUTPUT_EXTENSIONS = { '.csv': 'csv', '.tsv': 'tsv', '.xlsx': 'xlsx', '.md': 'markdown', '.markdown': 'markdown', '.html': 'html', '.htm': 'html' };
+
+// Marker left by flattenObject for arrays using the "explode" strategy; holds one
+// flattened object per element and is expanded into separate rows by flattenRows.
+class ExplodedArray {
+    constructor(items) {
+        this.items = items;
+    }
+}
+
+// Incremental tokenizer for a top-level JSON array.
+// Only the text of the element currently being read is buffered; each element is
+// handed to JSON.parse once its closing brace/bracket (or delimiter, for scalars) is seen.
+class JSONArrayStreamParser {
+    constructor() {
+        this.started = false;
+        this.finished = false;
+        this.depth = 0;
+        this.inElement = false;
+        this.inString = false;
+        this.escaped = false;
+        this.expectingValue = true;
+        this.buffer = '';
+        this.elementCount = 0;
+        this.position = 0;
+    }
+
+    // Feed a chunk of text, returns the elements completed within it
+    write(text) {
+        const elements = [];
+        let segmentStart = this.inElement ? 0 : -1;
+
+        for (let i = 0; i < text.length; i++, this.position++) {
+            const char = text[i];
+
+            if (this.finished) {
+                if (!/\s/.test(char)) {
+                    throw new Error(`Unexpected data after end of JSON array at position ${this.position}`);
+                }
+                continue;
+            }
+
+            if (!this.started) {
+                if (/\s/.test(char) || char === '\uFEFF') continue;
+                if (char !== '[') {
+                    throw new Error('JSON must be an array for streaming conversion');
+                }
+                this.started = true;
+                continue;
+            }
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    if (this.depth === 0) {
+                        elements.push(this.completeElement(text.slice(segmentStart, i + 1)));
+                        segmentStart = -1;
+                    }
+                }
+                continue;
+            }
+
+            if (this.inElement && this.depth > 0) {
+                if (char === '"') {
+                    this.inString = true;
+                } else if (char === '{' || char === '[') {
+                    this.depth++;
+                } else if (char === '}' || char === ']') {
+                    this.depth--;
+                    if (this.depth === 0) {
+                        elements.push(this.completeElement(text.slice(segmentStart, i + 1)));
+                        segmentStart = -1;
+                    }
+                }
+                continue;
+            }
+
+            // Scalar element (number, true, false, null) ends at a delimiter or whitespace
+            if (this.inElement) {
+                if (char === ',' || char === ']' || /\s/.test(char)) {
+                    elements.push(this.completeElement(text.slice(segmentStart, i)));
+                    segmentStart = -1;
+                } else {
+                    continue;
+                }
+            }
+
+            // Between elements
+            if (/\s/.test(char)) continue;
+
+            if (char === ',') {
+                if (this.expectingValue) {
+                    throw new Error(`Unexpected ',' at position ${this.position}`);
+                }
+                this.expectingValue = true;
+            } else if (char === ']') {
+                if (this.expectingValue && this.elementCount > 0) {
+                    throw new Error(`Trailing ',' before ']' at position ${this.position}`);
+                }
+                this.finished = true;
+            } else {
+                if (!this.expectingValue) {
+                    throw new Error(`Expected ',' or ']' at position ${this.position}`);
+                }
+                this.inElement = true;
+                this.expectingValue = false;
+                segmentStart = i;
+                if (char === '"') {
+                    this.inString = true;
+                } else if (char === '{' || char === '[') {
+                    this.depth = 1;
+                }
+            }
+        }
+
+        // Carry the unfinished element over to the next chunk
+        if (this.inElement && segmentStart !== -1) {
+            this.buffer += text.slice(segmentStart);
+        }
+
+        return elements;
+    }
+
+    completeElement(tail) {
+        const source = this.buffer + tail;
+        this.buffer = '';
+        this.inElement = false;
+        this.depth = 0;
+
+        try {
+            const value = JSON.parse(source);
+            this.elementCount++;
+            return value;
+        } catch (error) {
+            throw new Error(`Invalid JSON in array element ${this.elementCount}: ${error.message}`);
+        }
+    }
+
+    // Signal end of input, throws if the array was never opened or closed.
+    // Returns the remaining elements (always none, since ']' terminates the last one).
+    end() {
+        if (!this.started) {
+            throw new Error('Unexpected end of JSON input: no array found');
+        }
+        if (!this.finished) {
+            throw new Error(`Unexpected end of JSON input: array not closed after ${this.elementCount} elements`);
+        }
+        return [];
+    }
+}
+
+// Line-oriented parser for NDJSON / JSON Lines input with the same write()/end()
+// interface as JSONArrayStreamParser. Malformed lines either abort the parse or are
+// skipped and recorded in `invalidLines` depending on `onError`.
+class NDJSONStreamParser {
+    constructor({ onError = 'abort', onInvalidLine = null } = {}) {
+        if (!['abort', 'skip'].includes(onError)) {
+            throw new Error(`Invalid onError mode: ${onError} (expected "abort" or "skip")`);
+        }
+        this.onError = onError;
+        this.onInvalidLine = onInvalidLine;
+        this.buffer = '';
+        this.lineNumber = 0;
+        this.elementCount = 0;
+        this.invalidLines = [];
+    }
+
+    write(text) {
+        const lines = (this.buffer + text).split('\n');
+        this.buffer = lines.pop();
+        return this.parseLines(lines);
+    }
+
+    end() {
+        const remaining = this.buffer;
+        this.buffer = '';
+        return remaining ? this.parseLines([remaining]) : [];
+    }
+
+    parseLines(lines) {
+        const elements = [];
+
+        for (const line of lines) {
+            this.lineNumber++;
+            let text = line.trim();
+            if (this.lineNumber === 1 && text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+            if (!text) continue;
+
+            try {
+                elements.push(JSON.parse(text));
+                this.elementCount++;
+            } catch (error) {
+                if (this.onError === 'abort') {
+                    throw new Error(`Invalid JSON on line ${this.lineNumber}: ${error.message}`);
+                }
+                const invalid = { line: this.lineNumber, error: error.message };
+                this.invalidLines.push(invalid);
+                if (this.onInvalidLine) this.onInvalidLine(invalid);
+            }
+        }
+
+        return elements;
+    }
+}
+
+// Declarative column mapping loaded from a --map spec file:
+// {
+//   "columns": [
+//     { "source": "user.name", "header": "Name", "transform": "upper" },
+//     { "source": "orders[0].total", "header": "First Order", "default": 0,
+//       "transform": { "type": "number", "decimals": 2 } },
+//     { "source": "createdAt", "header": "Created", "transform": { "type": "date", "format": "YYYY-MM-DD" } },
+//     { "source": "status", "header": "Status", "transform": { "type": "lookup", "table": { "A": "Active" } } }
+//   ],
+//   "keepUnmapped": false
+// }
+// A bare array is accepted as the "columns" list. Unlisted columns are dropped unless
+// keepUnmapped is true, in which case they follow the mapped ones.
+class ColumnMapper {
+    constructor(spec) {
+        const columns = Array.isArray(spec) ? spec : spec && spec.columns;
+        if (!Array.isArray(columns) || columns.length === 0) {
+            throw new Error('Column map must contain a non-empty "columns" array');
+        }
+
+        this.keepUnmapped = Boolean(!Array.isArray(spec) && spec.keepUnmapped);
+        this.columns = columns.map((column, index) => {
+            if (!column || typeof column.source !== 'string' || !column.source) {
+                throw new Error(`Column map entry ${index} is missing a "source" path`);
+            }
+            const path = ColumnMapper.parsePath(column.source);
+            return {
+                path,
+                flatKey: path.join('.'),
+                header: column.header ?? column.source,
+                default: column.default,
+                transforms: [].concat(column.transform ?? []).map(transform => ColumnMapper.compileTransform(transform, column.source))
+            };
+        });
+        this.headers = this.columns.map(column => column.header);
+        this.mappedKeys = new Set(this.columns.map(column => column.flatKey));
+    }
+
+    // Parse dot/bracket notation: user.name, orders[0].sku, meta["created.at"]
+    static parsePath(source) {
+        const path = [];
+        const pattern = /([^.[\]]+)|\[(?:(\d+)|"([^"]*)"|'([^']*)')\]/g;
+        let match;
+        let consumed = 0;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const separator = source.slice(consumed, match.index);
+            if (separator !== '' && separator !== '.') {
+                throw new Error(`Invalid source path: ${source}`);
+            }
+            path.push(match[1] ?? match[2] ?? match[3] ?? match[4]);
+            consumed = pattern.lastIndex;
+        }
+
+        if (path.length === 0 || consumed !== source.length) {
+            throw new Error(`Invalid source path: ${source}`);
+        }
+        return path;
+    }
+
+    static compileTransform(transform, source) {
+        const spec = typeof transform === 'string' ? { type: transform } : transform;
+        const isBlank = value => value === undefined || value === null || value === '';
+
+        switch (spec && spec.type) {
+            case 'upper':
+                return value => isBlank(value) ? value : String(value).toUpperCase();
+            case 'lower':
+                return value => isBlank(value) ? value : String(value).toLowerCase();
+            case 'trim':
+                return value => isBlank(value) ? value : String(value).trim();
+            case 'number': {
+                const formatter = spec.locale
+                    ? new Intl.NumberFormat(spec.locale, {
+                        minimumFractionDigits: spec.decimals,
+                        maximumFractionDigits: spec.decimals,
+                        useGrouping: spec.grouping ?? true
+                    })
+                    : null;
+                return value => {
+                    const number = typeof value === 'number' ? value : Number(value);
+                    if (isBlank(value) || Number.isNaN(number)) return value;
+                    if (formatter) return formatter.format(number);
+                    return spec.decimals !== undefined ? number.toFixed(spec.decimals) : String(number);
+                };
+            }
+            case 'date':
+                return value => {
+                    if (isBlank(value)) return value;
+                    const date = new Date(value);
+                    if (Number.isNaN(date.getTime())) return value;
+                    return ColumnMapper.formatDate(date, spec.format || 'iso', spec.utc ?? true);
+                };
+            case 'lookup':
+                if (!spec.table || typeof spec.table !== 'object') {
+                    throw new Error(`Lookup transform for "${source}" requires a "table" object`);
+                }
+                return value => {
+                    const key = String(value ?? '');
+                    if (Object.prototype.hasOwnProperty.call(spec.table, key)) return spec.table[key];
+                    return spec.default !== undefined ? spec.default : value;
+                };
+            default:
+                throw new Error(`Unknown transform for "${source}": ${JSON.stringify(transform)}`);
+        }
+    }
+
+    // Format with YYYY, MM, DD, HH, mm, ss, SSS tokens, or "iso" for toISOString()
+    static formatDate(date, format, utc) {
+        if (format === 'iso') return date.toISOString();
+
+        const get = (utcMethod, localMethod) => utc ? date[utcMethod]() : date[localMethod]();
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+        const tokens = {
+            YYYY: pad(get('getUTCFullYear', 'getFullYear'), 4),
+            MM: pad(get('getUTCMonth', 'getMonth') + 1),
+            DD: pad(get('getUTCDate', 'getDate')),
+            HH: pad(get('getUTCHours', 'getHours')),
+            mm: pad(get('getUTCMinutes', 'getMinutes')),
+            ss: pad(get('getUTCSeconds', 'getSeconds')),
+            SSS: pad(get('getUTCMilliseconds', 'getMilliseconds'), 3)
+        };
+
+        return format.replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, token => tokens[token]);
+    }
+
+    static resolvePath(record, path) {
+        let value = record;
+        for (const segment of path) {
+            if (value === null || value === undefined || typeof value !== 'object') return undefined;
+            value = value[segment];
+        }
+        return value;
+    }
+
+    // Map one flattened row. Values are looked up by their flattened key first (so exploded
+    // or indexed columns work), then by walking the original record.
+    mapRow(flattened, record) {
+        const mapped = {};
+
+        for (const column of this.columns) {
+            let value = Object.prototype.hasOwnProperty.call(flattened, column.flatKey)
+                ? flattened[column.flatKey]
+                : ColumnMapper.resolvePath(record, column.path);
+
+            if (value === undefined || value === null || value === '') {
+                value = column.default ?? '';
+            } else {
+                if (typeof value === 'object') value = JSON.stringify(value);
+                for (const transform of column.transforms) value = transform(value);
+            }
+            mapped[column.header] = value;
+        }
+
+        if (this.keepUnmapped) {
+            for (const [key, value] of Object.entries(flattened)) {
+                if (!this.mappedKeys.has(key) && !(key in mapped)) mapped[key] = value;
+            }
+        }
+
+        return mapped;
+    }
+}
+
+// Safe parser for --where expressions, evaluated against flattened rows. No eval:
+// expressions are tokenized and compiled into closures by a recursive-descent parser.
+//
+//   expr       := or
+//   or         := and ( '||' and )*
+//   and        := unary ( '&&' unary )*
+//   unary      := '!' unary | comparison
+//   comparison := operand ( ( '==' | '!=' | '>' | '>=' | '<' | '<=' | '=~' ) operand )?
+//   operand    := '(' expr ')' | string | number | true | false | null | field
+//
+// Fields are flattened keys (stats.total, orders.0.sku); keys containing other
+// characters can be written in backticks (`first name`). '=~' matches a regular
+// expression given as a string. Numeric-looking values compare as numbers.
+class WhereExpression {
+    static OPERATORS = ['==', '!=', '>=', '<=', '=~', '&&', '||', '>', '<', '!', '(', ')'];
+
+    static compile(source) {
+        const parser = new WhereExpression(source);
+        const predicate = parser.parseOr();
+        if (parser.peek()) {
+            parser.fail(`Unexpected token "${parser.peek().value}"`);
+        }
+        return row => WhereExpression.truthy(predicate(row));
+    }
+
+    constructor(source) {
+        this.source = source;
+        this.tokens = WhereExpression.tokenize(source);
+        this.index = 0;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const operator = WhereExpression.OPERATORS.find(op => source.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, position: i });
+                i += operator.length;
+                continue;
+            }
+
+            if (char === '"' || char === "'" || char === '`') {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== char) {
+                    if (source[j] === '\\' && j + 1 < source.length) j++;
+                    value += source[j++];
+                }
+                if (j >= source.length) {
+                    throw new Error(`Invalid --where expression: unterminated ${char} at position ${i}`);
+                }
+                tokens.push({ type: char === '`' ? 'field' : 'string', value, position: i });
+                i = j + 1;
+                continue;
+            }
+
+            const number = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', value: Number(number[0]), position: i });
+                i += number[0].length;
+                continue;
+            }
+
+            const word = /^[A-Za-z_$][\w$.-]*/.exec(source.slice(i));
+            if (word) {
+                const literals = { true: true, false: false, null: null };
+                if (word[0] in literals) {
+                    tokens.push({ type: 'literal', value: literals[word[0]], position: i });
+                } else {
+                    tokens.push({ type: 'field', value: word[0], position: i });
+                }
+                i += word[0].length;
+                continue;
+            }
+
+            throw new Error(`Invalid --where expression: unexpected character "${char}" at position ${i}`);
+        }
+
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    fail(message) {
+        const token = this.peek();
+        const position = token ? token.position : this.source.length;
+        throw new Error(`Invalid --where expression: ${message} at position ${position}`);
+    }
+
+    acceptOperator(...operators) {
+        const token = this.peek();
+        if (token && token.type === 'operator' && operators.includes(token.value)) {
+            this.index++;
+            return token.value;
+        }
+        return null;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptOperator('||')) {
+            const lhs = left;
+            const rhs = this.parseAnd();
+            left = row => WhereExpression.truthy(lhs(row)) || WhereExpression.truthy(rhs(row));
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+        while (this.acceptOperator('&&')) {
+            const lhs = left;
+            const rhs = this.parseUnary();
+            left = row => WhereExpression.truthy(lhs(row)) && WhereExpression.truthy(rhs(row));
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.acceptOperator('!')) {
+            const operand = this.parseUnary();
+            return row => !WhereExpression.truthy(operand(row));
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseOperand();
+        const operator = this.acceptOperator('==', '!=', '>=', '<=', '>', '<', '=~');
+        if (!operator) return left;
+
+        const patternToken = this.peek();
+        const right = this.parseOperand();
+
+        if (operator === '=~') {
+            // A literal pattern is compiled once here, so an invalid one fails before any
+            // row is read; patterns taken from a field are compiled once per distinct value.
+            if (patternToken.type !== 'field' && patternToken.type !== 'operator') {
+                if (WhereExpression.isBlank(patternToken.value)) return () => false;
+                const regex = WhereExpression.compilePattern(patternToken.value, patternToken.position);
+                return row => regex.test(String(left(row) ?? ''));
+            }
+
+            const compiled = new Map();
+            return row => {
+                const pattern = right(row);
+                if (WhereExpression.isBlank(pattern)) return false;
+                const source = String(pattern);
+                if (!compiled.has(source)) compiled.set(source, WhereExpression.compilePattern(source));
+                return compiled.get(source).test(String(left(row) ?? ''));
+            };
+        }
+
+        return row => {
+            const comparison = WhereExpression.compare(left(row), right(row));
+            switch (operator) {
+                case '==': return comparison === 0;
+                case '!=': return comparison !== 0;
+                case '>': return comparison !== null && comparison > 0;
+                case '>=': return comparison !== null && comparison >= 0;
+                case '<': return comparison !== null && comparison < 0;
+                case '<=': return comparison !== null && comparison <= 0;
+            }
+        };
+    }
+
+    parseOperand() {
+        if (this.acceptOperator('(')) {
+            const inner = this.parseOr();
+            if (!this.acceptOperator(')')) this.fail('Expected ")"');
+            return inner;
+        }
+
+        const token = this.peek();
+        if (!token || token.type === 'operator') {
+            this.fail(token ? `Unexpected "${token.value}"` : 'Unexpected end of expression');
+        }
+        this.index++;
+
+        if (token.type === 'field') {
+            return row => row[token.value];
+        }
+        return () => token.value;
+    }
+
+    static compilePattern(pattern, position) {
+        try {
+            return new RegExp(String(pattern));
+        } catch (err) {
+            const at = position === undefined ? '' : ` at position ${position}`;
+            throw new Error(`Invalid --where expression: ${err.message}${at}`);
+        }
+    }
+
+    static isBlank(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    static truthy(value) {
+        return !WhereExpression.isBlank(value) && value !== false && value !== 0 && value !== 'false';
+    }
+
+    // Compare two values; null means "not comparable" (blank against a non-blank value).
+    // Blank values (missing, null, '') are equal to each other.
+    static compare(a, b) {
+        if (WhereExpression.isBlank(a) || WhereExpression.isBlank(b)) {
+            return WhereExpression.isBlank(a) && WhereExpression.isBlank(b) ? 0 : null;
+        }
+
+        const numberA = typeof a === 'number' ? a : Number(a);
+        const numberB = typeof b === 'number' ? b : Number(b);
+        if (typeof a !== 'boolean' && typeof b !== 'boolean' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+            return numberA === numberB ? 0 : (numberA < numberB ? -1 : 1);
+        }
+
+        const stringA = String(a);
+        const stringB = String(b);
+        return stringA === stringB ? 0 : (stringA < stringB ? -1 : 1);
+    }
+}
+
+// Column profile built from flattened rows for --infer-schema: observed types, null
+// rate, cardinality, numeric range and example values per column. Distinct values are
+// tracked up to `maxDistinct` per column so memory stays bounded on large inputs.
+class SchemaInferrer {
+    constructor({ maxDistinct = 10000, maxExamples = 3 } = {}) {
+        this.maxDistinct = maxDistinct;
+        this.maxExamples = maxExamples;
+        this.rowCount = 0;
+        this.columns = new Map();
+    }
+
+    static valueType(value) {
+        if (value === undefined || value === null || value === '') return 'null';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+        if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) return 'date-time';
+        return 'string';
+    }
+
+    addRow(row) {
+        this.rowCount++;
+
+        for (const [name, value] of Object.entries(row)) {
+            let column = this.columns.get(name);
+            if (!column) {
+                column = { present: 0, types: {}, distinct: new Set(), capped: false, examples: [], min: undefined, max: undefined };
+                this.columns.set(name, column);
+            }
+
+            const type = SchemaInferrer.valueType(value);
+            if (type === 'null') continue;
+
+            column.present++;
+            column.types[type] = (column.types[type] || 0) + 1;
+
+            const key = typeof value === 'string' ? value : JSON.stringify(value);
+            if (!column.distinct.has(key)) {
+                if (column.distinct.size < this.maxDistinct) {
+                    column.distinct.add(key);
+                } else {
+                    column.capped = true;
+                }
+                if (column.examples.length < this.maxExamples) column.examples.push(value);
+            }
+
+            if (typeof value === 'number') {
+                column.min = column.min === undefined ? value : Math.min(column.min, value);
+                column.max = column.max === undefined ? value : Math.max(column.max, value);
+            }
+        }
+    }
+
+    getReport(headers = Array.from(this.columns.keys()).sort()) {
+        return {
+            rowCount: this.rowCount,
+            columns: headers.filter(name => this.columns.has(name)).map(name => {
+                const column = this.columns.get(name);
+                const nullCount = this.rowCount - column.present;
+                return {
+                    name,
+                    types: column.types,
+                    nullCount,
+                    nullRate: this.rowCount ? nullCount / this.rowCount : 0,
+                    cardinality: column.distinct.size,
+                    cardinalityCapped: column.capped,
+                    ...(column.min !== undefined ? { min: column.min, max: column.max } : {}),
+                    examples: column.examples
+                };
+            })
+        };
+    }
+
+    // Plain-text table for terminal output
+    static formatReport(report) {
+        const rows = report.columns.map(column => [
+            column.name,
+            Object.entries(column.types).sort((a, b) => b[1] - a[1]).map(([type]) => type).join('|') || 'null',
+            `${(column.nullRate * 100).toFixed(1)}%`,
+            `${column.cardinality}${column.cardinalityCapped ? '+' : ''}`,
+            column.min !== undefined ? `${column.min}..${column.max}` : '',
+            column.examples.map(example => JSON.stringify(example)).join(', ').slice(0, 60)
+        ]);
+        const table = [['Column', 'Types', 'Null %', 'Distinct', 'Range', 'Examples'], ...rows];
+        const widths = table[0].map((_, index) => Math.max(...table.map(row => row[index].length)));
+
+        return [
+            `Rows: ${report.rowCount}`,
+            ...table.map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+        ].join('\n');
+    }
+}
 
 class JSONToCSVConverter {
     constructor(options = {}) {
@@ -50,6 +770,32 @@ class JSONToCSVConverter {
         this.debug = options.debug || false;
         this.flatten = options.flatten || false;
         this.maxDepth = options.maxDepth || 3;
+        // Array handling per path, e.g. { '*': 'json', orders: 'explode', tags: 'join' }
+        this.arrayStrategies = { '*': 'json', ...(options.arrayStrategies || {}) };
+        this.joinSeparator = options.joinSeparator ?? '|';
+        this.columnMap = options.columnMap ? new ColumnMapper(options.columnMap) : null;
+        this.where = options.where ? WhereExpression.compile(options.where) : null;
+        // [{ field: 'stats.total', descending: true }, ...]
+        this.sortBy = options.sortBy || null;
+        this.outputFormat = options.outputFormat || 'csv';
+        this.sheetName = options.sheetName || 'Sheet1';
+        // CSV injection protection: prefix formula-like cells with an apostrophe
+        this.formulaProtection = options.formulaProtection ?? true;
+        this.neutralizedCells = 0;
+        // JSON Schema validation: invalid records are skipped and passed to onReject
+        this.schemaValidator = options.schema ? new JSONSchemaValidator(options.schema) : null;
+        this.onReject = options.onReject || null;
+        this.rejectedCount = 0;
+
+        if (!OUTPUT_FORMATS.includes(this.outputFormat)) {
+            throw new Error(`Unsupported output format: ${this.outputFormat} (expected ${OUTPUT_FORMATS.join(', ')})`);
+        }
+
+        for (const [path, strategy] of Object.entries(this.arrayStrategies)) {
+            if (!ARRAY_STRATEGIES.includes(strategy)) {
+                throw new Error(`Invalid array strategy "${strategy}" for path "${path}" (expected ${ARRAY_STRATEGIES.join(', ')})`);
+            }
+        }
     }
 
     log(message, level = 'info') {
@@ -71,33 +817,187 @@ class JSONToCSVConverter {
         
         for (const key in obj) {
             if (obj.hasOwnProperty(key)) {
-                const value = obj[key];
                 const newKey = prefix ? `${prefix}${key}` : key;
-                
-                if (value === null || value === undefined) {
-                    flattened[newKey] = '';
-                } else if (typeof value === 'object' && !Array.isArray(value)) {
-                    if (this.flatten) {
-                        Object.assign(flattened, this.flattenObject(value, `${newKey}.`, maxDepth, currentDepth + 1));
-                    } else {
-                        flattened[newKey] = JSON.stringify(value);
-                    }
-                } else if (Array.isArray(value)) {
-                    flattened[newKey] = JSON.stringify(value);
-                } else {
-                    flattened[newKey] = value;
-                }
+                Object.assign(flattened, this.flattenValue(obj[key], newKey, maxDepth, currentDepth));
             }
         }
         
         return flattened;
     }
 
+    // Flatten a single value stored under `key`
+    flattenValue(value, key, maxDepth, currentDepth) {
+        if (value === null || value === undefined) {
+            return { [key]: '' };
+        } else if (typeof value === 'object' && !Array.isArray(value)) {
+            if (this.flatten) {
+                return this.flattenObject(value, `${key}.`, maxDepth, currentDepth + 1);
+            }
+            return { [key]: JSON.stringify(value) };
+        } else if (Array.isArray(value)) {
+            return this.flattenArray(value, key, maxDepth, currentDepth);
+        }
+        return { [key]: value };
+    }
+
+    // Resolve the array strategy for a flattened key. Index segments are ignored, so
+    // "orders.items" also matches "orders.0.items" produced by the index strategy.
+    getArrayStrategy(key) {
+        const path = key.split('.').filter(segment => !/^\d+$/.test(segment)).join('.');
+        return this.arrayStrategies[path] || this.arrayStrategies['*'];
+    }
+
+    // Flatten an array according to its strategy:
+    // - json:    one cell holding JSON.stringify(array)
+    // - index:   one column per element (orders.0.sku, orders.1.sku)
+    // - join:    scalar elements joined with joinSeparator into one cell
+    // - explode: one output row per element, parent fields repeated (see flattenRows)
+    // Arrays do not count as a nesting level for maxDepth, only the objects inside them do.
+    flattenArray(array, key, maxDepth, currentDepth) {
+        const strategy = this.getArrayStrategy(key);
+
+        if (strategy === 'index') {
+            const flattened = {};
+            array.forEach((item, index) => {
+                Object.assign(flattened, this.flattenValue(item, `${key}.${index}`, maxDepth, currentDepth));
+            });
+            return flattened;
+        }
+
+        if (strategy === 'join') {
+            if (array.every(item => item === null || typeof item !== 'object')) {
+                return { [key]: array.map(item => item ?? '').join(this.joinSeparator) };
+            }
+            this.log(`Array at "${key}" contains objects, cannot join - falling back to JSON`, 'debug');
+        }
+
+        if (strategy === 'explode') {
+            return { [key]: new ExplodedArray(array.map(item => this.flattenValue(item, key, maxDepth, currentDepth))) };
+        }
+
+        return { [key]: JSON.stringify(array) };
+    }
+
+    // Flatten a record into one or more rows. Without exploded arrays this is a single
+    // flattenObject result; each exploded array multiplies the rows by its element count
+    // (several exploded arrays in one record produce their cartesian product). An empty
+    // exploded array keeps the parent row, leaving the element columns blank.
+    // Rows failing the --where filter are dropped before the column map is applied.
+    flattenRows(obj) {
+        return this.flattenRecord(obj).map(row => this.mapRow(row, obj));
+    }
+
+    // Flattened, filtered rows keyed by flattened keys (before column mapping)
+    flattenRecord(obj) {
+        const rows = this.expandExplodedArrays(this.flattenObject(obj));
+        return this.where ? rows.filter(this.where) : rows;
+    }
+
+    mapRow(flattened, obj) {
+        return this.columnMap ? this.columnMap.mapRow(flattened, obj) : flattened;
+    }
+
+    // Stable multi-key sort of { row } entries on flattened keys; blank values sort last
+    sortRowEntries(entries) {
+        return entries.sort((a, b) => {
+            for (const { field, descending } of this.sortBy) {
+                const valueA = a.row[field];
+                const valueB = b.row[field];
+                const blankA = WhereExpression.isBlank(valueA);
+                const blankB = WhereExpression.isBlank(valueB);
+
+                if (blankA || blankB) {
+                    if (blankA !== blankB) return blankA ? 1 : -1;
+                    continue;
+                }
+
+                const comparison = WhereExpression.compare(valueA, valueB);
+                if (comparison !== 0) return descending ? -comparison : comparison;
+            }
+            return 0;
+        });
+    }
+
+    expandExplodedArrays(flattened) {
+        let rows = [{}];
+
+        for (const [key, value] of Object.entries(flattened)) {
+            if (value instanceof ExplodedArray) {
+                const elementRows = value.items.length > 0
+                    ? value.items.flatMap(item => this.expandExplodedArrays(item))
+                    : [{}];
+                rows = rows.flatMap(row => elementRows.map(elementRow => ({ ...row, ...elementRow })));
+            } else {
+                for (const row of rows) row[key] = value;
+            }
+        }
+
+        return rows;
+    }
+
+    // Neutralize values a spreadsheet would run as a formula (=, +, -, @, tab, CR) by
+    // prefixing an apostrophe. Numbers such as -42 or +1.5 are left untouched.
+    neutralizeFormula(field) {
+        if (!this.formulaProtection || typeof field === 'number' || typeof field === 'boolean') return field;
+
+        const stringField = String(field);
+        if (FORMULA_TRIGGER_PATTERN.test(stringField) && !NUMERIC_PATTERN.test(stringField)) {
+            this.neutralizedCells++;
+            return `'${stringField}`;
+        }
+        return field;
+    }
+
+    reportNeutralizedCells() {
+        if (this.neutralizedCells > 0) {
+            this.log(`Formula protection: neutralized ${this.neutralizedCells} cell(s) starting with =, +, -, @, tab or CR`, 'verbose');
+        }
+    }
+
+    // Validate a record against the --schema; returns false (and reports it) when invalid
+    acceptRecord(record, index) {
+        if (!this.schemaValidator) return true;
+
+        const errors = this.schemaValidator.validate(record);
+        if (errors.length === 0) return true;
+
+        this.rejectedCount++;
+        if (this.onReject) {
+            this.onReject({ index, errors: errors.map(({ path, message }) => `${path || '/'} ${message}`), record });
+        }
+        return false;
+    }
+
+    // Profile flattened columns of a record collection (array or iterable)
+    inferSchema(records) {
+        const inferrer = new SchemaInferrer();
+        for (const record of records) {
+            for (const row of this.flattenRows(record)) inferrer.addRow(row);
+        }
+        return inferrer.getReport();
+    }
+
+    // Profile flattened columns while reading from a stream with a JSONArrayStreamParser
+    // or NDJSONStreamParser, without holding the records in memory
+    async inferSchemaFromStream(stream, parser = new JSONArrayStreamParser()) {
+        const inferrer = new SchemaInferrer();
+        const addRecord = record => {
+            for (const row of this.flattenRows(record)) inferrer.addRow(row);
+        };
+
+        for await (const chunk of stream) {
+            parser.write(chunk.toString()).forEach(addRecord);
+        }
+        parser.end().forEach(addRecord);
+
+        return inferrer.getReport();
+    }
+
     // Escape CSV field values
     escapeCSVField(field) {
         if (field === null || field === undefined) return '';
         
-        const stringField = String(field);
+        const stringField = String(this.neutralizeFormula(field));
         
         // If field contains delimiter, quote, or newline, wrap in quotes and escape internal quotes
         if (stringField.includes(this.delimiter) || stringField.includes(this.quote) || stringField.includes('\n') || stringField.includes('\r')) {
@@ -113,13 +1013,22 @@ class JSONToCSVConverter {
         
         for (const item of jsonArray) {
             if (typeof item === 'object' && item !== null) {
-                const flattened = this.flattenObject(item);
-                Object.keys(flattened).forEach(key => headerSet.add(key));
+                for (const flattened of this.flattenRows(item)) {
+                    Object.keys(flattened).forEach(key => headerSet.add(key));
+                }
             }
         }
         
         const allHeaders = Array.from(headerSet);
         
+        // A column map declares the output columns and their order
+        if (this.columnMap) {
+            const mappedHeaders = new Set(this.columnMap.headers);
+            const remainingHeaders = allHeaders.filter(header => !mappedHeaders.has(header)).sort();
+            this.log(`Using column map headers: ${this.columnMap.headers.join(', ')}`, 'debug');
+            return [...this.columnMap.headers, ...remainingHeaders];
+        }
+
         // If custom headers are specified, use them as-is
         if (this.headers) {
             this.log(`Using custom headers: ${this.headers.join(', ')}`, 'debug');
@@ -150,25 +1059,42 @@ class JSONToCSVConverter {
         return allHeaders.sort();
     }
 
-    // Convert single JSON object to CSV row
+    // Convert single JSON object to CSV row (several rows when arrays are exploded,
+    // an empty string when every row is filtered out)
     jsonToCsvRow(jsonObj, headers) {
-        const flattened = this.flattenObject(jsonObj);
-        const row = headers.map(header => this.escapeCSVField(flattened[header] || ''));
+        return this.flattenRows(jsonObj).map(flattened => this.formatCSVRow(flattened, headers)).join(this.newline);
+    }
+
+    formatCSVRow(flattened, headers) {
+        const row = headers.map(header => this.escapeCSVField(flattened[header] ?? ''));
         return row.join(this.delimiter);
     }
 
     // Convert JSON array to CSV string - Main conversion method that takes JSON object as argument
     async convertJSONToCSV(jsonArray) {
+        return this.convertJSON(jsonArray, 'csv');
+    }
+
+    // Convert JSON array to any output format: a string for csv, tsv, markdown and html,
+    // a Buffer for xlsx
+    async convertJSON(jsonArray, format = this.outputFormat) {
         if (!Array.isArray(jsonArray)) {
             throw new Error('Input must be an array of objects');
         }
 
+        if (this.schemaValidator) {
+            this.rejectedCount = 0;
+            jsonArray = jsonArray.filter((record, index) => this.acceptRecord(record, index));
+            this.log(`Schema validation rejected ${this.rejectedCount} record(s)`, 'verbose');
+        }
+
         if (jsonArray.length === 0) {
             this.log('Warning: Empty JSON array provided', 'verbose');
-            return '';
+            return format === 'xlsx' ? XLSXWriter.build([], [], { sheetName: this.sheetName }) : '';
         }
 
         this.log(`Processing ${jsonArray.length} records`, 'verbose');
+        this.neutralizedCells = 0;
 
         // Extract headers with custom ordering support
         const headers = this.extractHeaders(jsonArray);
@@ -179,8 +1105,9 @@ class JSONToCSVConverter {
             const availableColumns = new Set();
             for (const item of jsonArray) {
                 if (typeof item === 'object' && item !== null) {
-                    const flattened = this.flattenObject(item);
-                    Object.keys(flattened).forEach(key => availableColumns.add(key));
+                    for (const flattened of this.flattenRows(item)) {
+                        Object.keys(flattened).forEach(key => availableColumns.add(key));
+                    }
                 }
             }
             
@@ -190,12 +1117,25 @@ class JSONToCSVConverter {
             }
         }
 
-        // Create CSV content
-        const csvRows = [];
-        
-        // Add header row
-        csvRows.push(headers.map(h => this.escapeCSVField(h)).join(this.delimiter));
+        // Flattened rows, keyed by output header
+        const rows = [];
         
+        // Sorting needs every row up front
+        if (this.sortBy) {
+            const entries = [];
+            for (const item of jsonArray) {
+                for (const row of this.flattenRecord(item)) entries.push({ row, item });
+            }
+
+            this.sortRowEntries(entries);
+            this.log(`Sorted ${entries.length} rows by ${this.sortBy.map(({ field, descending }) => `${field}${descending ? ':desc' : ''}`).join(', ')}`, 'verbose');
+
+            for (const { row, item } of entries) {
+                rows.push(this.mapRow(row, item));
+            }
+            return this.formatTable(headers, rows, format);
+        }
+
         // Add data rows with progress indication
         const total = jsonArray.length;
         const showProgress = total > 100 && (this.verbose || this.debug);
@@ -210,7 +1150,7 @@ class JSONToCSVConverter {
             }
             
             try {
-                csvRows.push(this.jsonToCsvRow(item, headers));
+                for (const row of this.flattenRows(item)) rows.push(row);
             } catch (error) {
                 this.log(`Error processing row ${i}: ${error.message}`, 'error');
                 if (this.debug) {
@@ -220,69 +1160,503 @@ class JSONToCSVConverter {
             }
         }
 
-        if (showProgress) {
-            const progressBar = '█'.repeat(10);
-            this.log(`Progress: [${progressBar}] 100% - Conversion complete`, 'verbose');
-        }
+        if (showProgress) {
+            const progressBar = '█'.repeat(10);
+            this.log(`Progress: [${progressBar}] 100% - Conversion complete`, 'verbose');
+        }
+
+        return this.formatTable(headers, rows, format);
+    }
+
+    // Render flattened rows in the requested output format
+    formatTable(headers, rows, format) {
+        if (format === 'xlsx') {
+            return XLSXWriter.build(headers, rows, { sheetName: this.sheetName });
+        }
+
+        const formatter = this.createTableFormatter(format);
+        const lines = [formatter.header(headers)];
+        for (const row of rows) {
+            lines.push(formatter.row(row, headers));
+        }
+        const footer = formatter.footer();
+        if (footer) lines.push(footer);
+
+        this.reportNeutralizedCells();
+        return lines.join(this.newline);
+    }
+
+    // Line-based renderers shared by convertJSON and the streaming transform. Each returns
+    // text without a trailing newline; footer() returns '' when the format has none.
+    createTableFormatter(format) {
+        const cells = (values, render) => values.map(render);
+
+        switch (format) {
+            case 'csv':
+                return {
+                    header: headers => headers.map(h => this.escapeCSVField(h)).join(this.delimiter),
+                    row: (flattened, headers) => this.formatCSVRow(flattened, headers),
+                    footer: () => ''
+                };
+            case 'tsv': {
+                // TSV has no quoting, so tabs and line breaks inside values are escaped
+                const escapeTSV = value => String(this.neutralizeFormula(value ?? ''))
+                    .replace(/\\/g, '\\\\')
+                    .replace(/\t/g, '\\t')
+                    .replace(/\n/g, '\\n')
+                    .replace(/\r/g, '\\r');
+                return {
+                    header: headers => cells(headers, escapeTSV).join('\t'),
+                    row: (flattened, headers) => cells(headers, h => escapeTSV(flattened[h])).join('\t'),
+                    footer: () => ''
+                };
+            }
+            case 'markdown': {
+                const escapeMarkdown = value => String(value ?? '')
+                    .replace(/\\/g, '\\\\')
+                    .replace(/\|/g, '\\|')
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/\r?\n|\r/g, '<br>');
+                const line = values => `| ${values.join(' | ')} |`;
+                return {
+                    header: headers => line(cells(headers, escapeMarkdown)) + this.newline + line(headers.map(() => '---')),
+                    row: (flattened, headers) => line(cells(headers, h => escapeMarkdown(flattened[h]))),
+                    footer: () => ''
+                };
+            }
+            case 'html': {
+                const escapeHTML = value => String(value ?? '')
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;')
+                    .replace(/'/g, '&#39;');
+                return {
+                    header: headers => [
+                        '<table>',
+                        '  <thead>',
+                        `    <tr>${cells(headers, h => `<th>${escapeHTML(h)}</th>`).join('')}</tr>`,
+                        '  </thead>',
+                        '  <tbody>'
+                    ].join(this.newline),
+                    row: (flattened, headers) => `    <tr>${cells(headers, h => `<td>${escapeHTML(flattened[h])}</td>`).join('')}</tr>`,
+                    footer: () => ['  </tbody>', '</table>'].join(this.newline)
+                };
+            }
+            default:
+                throw new Error(`Unsupported output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+        }
+    }
+
+    // Parse CSV text into an array of rows (arrays of strings) following RFC 4180:
+    // fields may be quoted, quotes inside quoted fields are doubled, and quoted fields
+    // may contain delimiters and line breaks. Accepts LF, CRLF and CR line endings.
+    parseCSV(csvString) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quotedFieldLine = 0;
+        let line = 1;
+        let i = csvString.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        const delimiter = this.delimiter;
+        const quote = this.quote;
+
+        const endRow = () => {
+            row.push(field);
+            field = '';
+            // Skip blank lines
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+        };
+
+        for (; i < csvString.length; i++) {
+            const char = csvString[i];
+
+            if (inQuotes) {
+                if (csvString.startsWith(quote, i)) {
+                    if (csvString.startsWith(quote, i + quote.length)) {
+                        field += quote;
+                        i += quote.length * 2 - 1;
+                    } else {
+                        inQuotes = false;
+                        i += quote.length - 1;
+                    }
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (csvString.startsWith(quote, i) && field === '') {
+                inQuotes = true;
+                quotedFieldLine = line;
+                i += quote.length - 1;
+            } else if (csvString.startsWith(delimiter, i)) {
+                row.push(field);
+                field = '';
+                i += delimiter.length - 1;
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && csvString[i + 1] === '\n') i++;
+                line++;
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error(`Unterminated quoted field starting on line ${quotedFieldLine}`);
+        }
+        if (field !== '' || row.length > 0) endRow();
+
+        return rows;
+    }
+
+    // Undo formula protection added by escapeCSVField
+    unescapeCSVCell(cell) {
+        if (this.formulaProtection && cell[0] === "'" && FORMULA_TRIGGER_PATTERN.test(cell.slice(1))) {
+            return cell.slice(1);
+        }
+        return cell;
+    }
+
+    // Guess one type for a whole column from its non-empty cells: number, boolean,
+    // json (objects/arrays written by the json strategy) or string. Numbers only count
+    // when they survive the round trip unchanged, so "007" and "1.50" keep the column a string.
+    static inferColumnType(cells) {
+        const values = cells.filter(cell => cell !== '');
+        if (values.length === 0) return 'string';
+
+        if (values.every(cell => NUMERIC_PATTERN.test(cell) && String(Number(cell)) === cell)) return 'number';
+        if (values.every(cell => cell === 'true' || cell === 'false')) return 'boolean';
+        if (values.every(cell => {
+            if (cell[0] !== '{' && cell[0] !== '[') return false;
+            try {
+                JSON.parse(cell);
+                return true;
+            } catch {
+                return false;
+            }
+        })) return 'json';
+        return 'string';
+    }
+
+    // JSON Schema node for a flattened key ("user.tags.0"), following properties and items
+    static schemaAt(schema, key) {
+        let node = schema;
+        for (const segment of key.split('.')) {
+            if (!node || typeof node !== 'object') return null;
+            if (node.properties && Object.prototype.hasOwnProperty.call(node.properties, segment)) {
+                node = node.properties[segment];
+            } else if (/^\d+$/.test(segment) && node.items) {
+                node = Array.isArray(node.items) ? node.items[Number(segment)] : node.items;
+            } else {
+                return null;
+            }
+        }
+        return node || null;
+    }
+
+    // Column type from a JSON Schema node: the first non-null type, with "null" allowed or not
+    static schemaColumnType(node) {
+        const types = node && node.type !== undefined ? [].concat(node.type) : [];
+        const type = types.find(candidate => candidate !== 'null');
+        const nullable = types.includes('null');
+
+        if (type === 'integer' || type === 'number') return { type: 'number', nullable };
+        if (type === 'boolean') return { type: 'boolean', nullable };
+        if (type === 'object' || type === 'array') return { type: 'json', nullable };
+        return { type: 'string', nullable: nullable && type === undefined };
+    }
+
+    // Turn a CSV cell back into a value of its column type. String columns keep every
+    // cell as written, including empty ones. In typed columns an empty cell is null, and
+    // a cell that does not parse is kept as a string rather than guessed at.
+    parseCSVValue(cell, { type = 'string', nullable = type !== 'string' } = {}) {
+        if (cell === '') return nullable ? null : (type === 'string' ? '' : undefined);
+        const text = this.unescapeCSVCell(cell);
+
+        switch (type) {
+            case 'number':
+                return NUMERIC_PATTERN.test(text) ? Number(text) : text;
+            case 'boolean':
+                return text === 'true' ? true : text === 'false' ? false : text;
+            case 'json':
+                try {
+                    return JSON.parse(text);
+                } catch {
+                    return text;
+                }
+            default:
+                return text;
+        }
+    }
+
+    // Rebuild nested objects from dotted keys produced by flattenObject (e.g. "user.name").
+    // `arrayPaths` lists the paths to turn back into arrays (see restoreIndexedArrays).
+    unflattenObject(flat, arrayPaths = new Set()) {
+        const result = {};
+
+        for (const [key, value] of Object.entries(flat)) {
+            if (value === undefined) continue;
+
+            const path = key.split('.');
+            let target = result;
+            let conflict = false;
+
+            for (let i = 0; i < path.length - 1; i++) {
+                const segment = path[i];
+                if (target[segment] === undefined) {
+                    target[segment] = {};
+                } else if (typeof target[segment] !== 'object' || target[segment] === null || Array.isArray(target[segment])) {
+                    conflict = true;
+                    break;
+                }
+                target = target[segment];
+            }
+
+            if (conflict || (typeof target[path[path.length - 1]] === 'object' && target[path[path.length - 1]] !== null)) {
+                this.log(`Warning: Column "${key}" conflicts with another column, kept as a flat key`, 'verbose');
+                result[key] = value;
+                continue;
+            }
+
+            target[path[path.length - 1]] = value;
+        }
+
+        return this.restoreIndexedArrays(result, arrayPaths);
+    }
+
+    // Objects whose keys are exactly 0..n-1 are turned back into arrays, but only at paths
+    // written with the "index" array strategy (or declared as arrays in the --schema), so
+    // a real object with numeric keys stays an object
+    restoreIndexedArrays(value, arrayPaths = new Set(), path = '') {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return value;
+        }
+
+        const keys = Object.keys(value);
+        for (const key of keys) {
+            const childPath = /^\d+$/.test(key) ? path : (path ? `${path}.${key}` : key);
+            value[key] = this.restoreIndexedArrays(value[key], arrayPaths, childPath);
+        }
+
+        if (path && arrayPaths.has(path) && keys.length > 0 && keys.every((key, index) => key === String(index))) {
+            return keys.map(key => value[key]);
+        }
+        return value;
+    }
+
+    // Paths (without index segments) to restore as arrays: those using the "index"
+    // strategy, and those the schema declares as arrays
+    indexedArrayPaths(headers, schema) {
+        const paths = new Set();
+        for (const header of headers) {
+            const segments = header.split('.');
+            segments.forEach((segment, i) => {
+                if (!/^\d+$/.test(segment) || i === 0) return;
+                const key = segments.slice(0, i).join('.');
+                const path = segments.slice(0, i).filter(part => !/^\d+$/.test(part)).join('.');
+                const node = schema ? JSONToCSVConverter.schemaAt(schema, key) : null;
+                if (this.getArrayStrategy(key) === 'index' || (node && [].concat(node.type).includes('array'))) {
+                    paths.add(path);
+                }
+            });
+        }
+        return paths;
+    }
+
+    // Convert CSV string to JSON array - reverse of convertJSONToCSV.
+    // CSV carries no types, so by default every cell comes back as a string. With
+    // `inferTypes` each column gets one type guessed from all of its cells; with a JSON
+    // `schema` the types come from the schema. Null and empty string are both written
+    // as an empty cell, so they cannot be told apart: empty cells are '' in string
+    // columns and null in typed ones.
+    async convertCSVToJSON(csvString, { unflatten = true, inferTypes = false, schema = null } = {}) {
+        if (typeof csvString !== 'string') {
+            throw new Error('Input must be a CSV string');
+        }
+
+        const rows = this.parseCSV(csvString);
+        if (rows.length === 0) {
+            this.log('Warning: Empty CSV provided', 'verbose');
+            return [];
+        }
+
+        const headers = this.headers || rows[0];
+        const dataRows = rows.slice(1);
+        this.log(`Processing ${dataRows.length} CSV rows with ${headers.length} columns`, 'verbose');
+        this.log(`CSV headers: ${headers.join(', ')}`, 'debug');
+
+        dataRows.forEach((row, index) => {
+            if (row.length > headers.length) {
+                throw new Error(`CSV row ${index + 2} has ${row.length} fields, expected ${headers.length}`);
+            }
+        });
+
+        const columnTypes = headers.map((header, column) => {
+            if (schema) {
+                return JSONToCSVConverter.schemaColumnType(JSONToCSVConverter.schemaAt(schema, header));
+            }
+            if (inferTypes) {
+                const cells = dataRows.map(row => this.unescapeCSVCell(row[column] ?? ''));
+                return { type: JSONToCSVConverter.inferColumnType(cells) };
+            }
+            return { type: 'string' };
+        });
+        this.log(`Column types: ${headers.map((header, i) => `${header}=${columnTypes[i].type}`).join(', ')}`, 'debug');
+
+        const arrayPaths = unflatten ? this.indexedArrayPaths(headers, schema) : new Set();
 
-        return csvRows.join(this.newline);
+        return dataRows.map(row => {
+            const flat = {};
+            headers.forEach((header, column) => {
+                flat[header] = this.parseCSVValue(row[column] ?? '', columnTypes[column]);
+            });
+
+            if (!unflatten) {
+                return Object.fromEntries(Object.entries(flat).filter(([, value]) => value !== undefined));
+            }
+            return this.unflattenObject(flat, arrayPaths);
+        });
     }
 
-    // Create streaming transform for large files
-    createStreamTransform(headers = null) {
-        let isFirstChunk = true;
-        let buffer = '';
+    // Create streaming transform for large files.
+    // Records are parsed incrementally and written as soon as they are complete. When no
+    // headers are given, they are derived from the first `sampleSize` records, which are
+    // held back until the sample is full; keys first seen after the sample are dropped.
+    // `parser` may be any object with write(text)/end() returning parsed records
+    // (JSONArrayStreamParser by default, NDJSONStreamParser for JSON Lines input).
+    // Every output format except xlsx can be streamed.
+    createStreamTransform(headers = null, { sampleSize = 1000, parser = new JSONArrayStreamParser(), format = this.outputFormat } = {}) {
+        if (format === 'xlsx') {
+            throw new Error('xlsx output is built in memory and cannot be streamed');
+        }
+        const formatter = this.createTableFormatter(format);
+        const sample = [];
+        const unknownKeys = new Set();
+        let finalHeaders = headers ? headers.slice() : null;
+        let sampledHeaders = null;
         let recordCount = 0;
-        const extractedHeaders = headers ? headers.slice() : null;
         const self = this; // Store reference to maintain context
 
-        return new Transform({
+        const headerRow = () => formatter.header(finalHeaders) + self.newline;
+
+        const convertRecord = (record) => {
+            if (sampledHeaders && typeof record === 'object' && record !== null) {
+                for (const key of self.flattenRows(record).flatMap(Object.keys)) {
+                    if (!sampledHeaders.has(key) && !unknownKeys.has(key)) {
+                        unknownKeys.add(key);
+                        self.log(`Warning: Column "${key}" first seen after header sample (record ${recordCount}) - dropped`, 'verbose');
+                    }
+                }
+            }
+
+            recordCount++;
+            stats.records = recordCount;
+            if (recordCount % 1000 === 0) {
+                self.log(`Streamed ${recordCount} records`, 'debug');
+            }
+            return self.flattenRows(record).map(row => formatter.row(row, finalHeaders) + self.newline).join('');
+        };
+
+        const flushSample = () => {
+            finalHeaders = self.extractHeaders(sample);
+            // Custom headers rename columns, so there is nothing to compare new keys against
+            sampledHeaders = self.headers ? null : new Set(finalHeaders);
+            self.log(`Derived ${finalHeaders.length} headers from a sample of ${sample.length} records`, 'verbose');
+            let csvOutput = headerRow();
+            for (const record of sample) {
+                csvOutput += convertRecord(record);
+            }
+            sample.length = 0;
+            return csvOutput;
+        };
+
+        let headerWritten = false;
+        let inputIndex = 0;
+        const stats = { records: 0, rejected: 0 };
+
+        const accept = (record) => {
+            if (self.acceptRecord(record, inputIndex++)) return true;
+            stats.rejected++;
+            return false;
+        };
+
+        const transform = new Transform({
             objectMode: false,
             transform(chunk, encoding, callback) {
-                buffer += chunk.toString();
-                
                 try {
-                    // Try to parse complete JSON
-                    const jsonData = JSON.parse(buffer);
-                    
-                    if (!Array.isArray(jsonData)) {
-                        return callback(new Error('JSON must be an array for streaming conversion'));
+                    let csvOutput = '';
+
+                    if (!headerWritten && finalHeaders) {
+                        csvOutput += headerRow();
+                        headerWritten = true;
+                    }
+
+                    for (const record of parser.write(chunk.toString())) {
+                        if (!accept(record)) continue;
+                        if (!finalHeaders) {
+                            sample.push(record);
+                            if (sample.length >= sampleSize) {
+                                csvOutput += flushSample();
+                                headerWritten = true;
+                            }
+                            continue;
+                        }
+                        csvOutput += convertRecord(record);
                     }
 
-                    // Extract headers if not provided
-                    const finalHeaders = extractedHeaders || self.extractHeaders(jsonData);
-                    
+                    callback(null, csvOutput || undefined);
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                try {
                     let csvOutput = '';
-                    
-                    // Add headers on first chunk
-                    if (isFirstChunk) {
-                        csvOutput += finalHeaders.map(h => self.escapeCSVField(h)).join(self.delimiter) + self.newline;
-                        isFirstChunk = false;
+                    for (const record of parser.end()) {
+                        if (!accept(record)) continue;
+                        if (finalHeaders) {
+                            csvOutput += convertRecord(record);
+                        } else {
+                            sample.push(record);
+                        }
                     }
-                    
-                    // Convert each record
-                    for (const record of jsonData) {
-                        csvOutput += self.jsonToCsvRow(record, finalHeaders) + self.newline;
-                        recordCount++;
-                        
-                        if (recordCount % 1000 === 0) {
-                            self.log(`Streamed ${recordCount} records`, 'debug');
+
+                    if (!finalHeaders) {
+                        if (sample.length > 0) {
+                            csvOutput += flushSample();
+                        } else {
+                            self.log('Warning: Empty JSON array provided', 'verbose');
                         }
+                    } else if (!headerWritten) {
+                        csvOutput += headerRow();
                     }
-                    
-                    buffer = '';
-                    callback(null, csvOutput);
-                    
-                } catch (error) {
-                    // If JSON is incomplete, keep buffering
-                    if (error.message.includes('Unexpected end of JSON input')) {
-                        callback();
-                    } else {
-                        callback(error);
+
+                    const footer = finalHeaders ? formatter.footer() : '';
+                    if (footer) csvOutput += footer + self.newline;
+
+                    self.log(`Streamed ${recordCount} records in total`, 'verbose');
+                    self.reportNeutralizedCells();
+                    if (self.schemaValidator) {
+                        self.log(`Schema validation rejected ${self.rejectedCount} record(s)`, 'verbose');
                     }
+                    callback(null, csvOutput || undefined);
+                } catch (error) {
+                    callback(error);
                 }
             }
         });
+
+        // Per-stream counters for callers running several conversions at once
+        transform.stats = stats;
+        return transform;
     }
 }
 
@@ -298,20 +1672,64 @@ JSON to CSV Converter CLI Tool
 
 USAGE:
   node main.mjs [OPTIONS] [INPUT_FILE] [OUTPUT_FILE]
+  node main.mjs [OPTIONS] --output <FILE> | --out-dir <DIR> <INPUT>...
 
 ARGUMENTS:
-  INPUT_FILE      Input JSON file path (defaults to stdin)
-  OUTPUT_FILE     Output CSV file path (defaults to stdout)
+  INPUT_FILE      Input JSON or NDJSON file path, or CSV with --reverse (defaults to stdin)
+  OUTPUT_FILE     Output file path, or JSON with --reverse (defaults to stdout)
+  INPUT...        Batch mode: files, directories or quoted glob patterns
+                  ("dumps/**/*.json"); batch mode is used when a glob or directory
+                  is given, or with --output / --out-dir
 
 OPTIONS:
+  -F, --output-format <fmt>   Output format: csv, tsv, xlsx, markdown or html (default:
+                              from the output file extension, otherwise csv)
   -d, --delimiter <char>      CSV delimiter (default: ',')
   -q, --quote <char>          Quote character (default: '"')
   -n, --newline <char>        Newline character (default: '\\n')
   -H, --headers <list>        Custom headers (comma-separated)
   -c, --column-order <list>   Column order (comma-separated) - NEW FEATURE
+  -w, --where <expr>          Keep rows matching an expression on flattened keys, e.g.
+                              'status == "active" && stats.total > 10'
+                              Operators: == != > >= < <= =~ (regex) && || ! ( )
+  -o, --sort-by <list>        Sort by flattened keys, comma-separated field[:desc]
+                              (not available with --stream)
+      --no-formula-protection Write cells starting with =, +, -, @, tab or CR unchanged
+                              (by default they are prefixed with ' so spreadsheet
+                              apps do not run them as formulas)
+      --infer-schema          Profile the flattened columns instead of converting: types,
+                              null rate, cardinality, range and examples (JSON report
+                              when OUTPUT_FILE is given, text table otherwise). With
+                              --reverse: type each CSV column from its cells
+      --schema <file>         Validate each record against a JSON Schema; invalid records
+                              are left out of the output. With --reverse: type CSV
+                              columns from the schema
+      --rejects <file>        Write rejected records as NDJSON with their reasons
+      --strict                Exit with code 2 when any record is rejected
+  -M, --map <file>            Column mapping spec (JSON): source path, header, default
+                              and transform per output column; overrides -H and -c
   -f, --flatten               Flatten nested objects
   -m, --max-depth <num>       Maximum depth for flattening (default: 3)
+  -a, --array-strategy <spec> Array handling, comma-separated path=strategy pairs; a bare
+                              strategy sets the default. Strategies: json (default),
+                              index, explode, join. Paths omit array indexes.
+  -j, --join-separator <sep>  Separator for the join strategy (default: '|')
+  -i, --input-format <fmt>    Input format: json or ndjson (default: auto-detect
+                              from .ndjson/.jsonl extension, otherwise json)
+  -e, --on-error <mode>       Malformed NDJSON lines: abort or skip (default: abort)
+  -r, --reverse               Convert CSV to JSON (default for .csv input files). Cells
+                              come back as strings unless --infer-schema (one type per
+                              column, guessed from its cells) or --schema (types from the
+                              schema) is given; pass the forward -a index strategy to
+                              rebuild indexed arrays
+      --no-unflatten          With --reverse, keep dotted headers as flat keys
   -s, --stream                Use streaming mode for large files
+  -O, --output <file>         Batch: write all inputs to one file with a unified header
+                              (defaults to stdout)
+      --out-dir <dir>         Batch: write one output per input file into <dir>
+      --source-file           Batch merge: add a source_file column
+      --concurrency <num>     Batch: files processed at once (default: 4)
+  -S, --sample-size <num>     Records sampled for headers in streaming mode (default: 1000)
   -v, --verbose               Enable verbose logging
   -D, --debug                 Enable debug logging
   -h, --help                  Show this help message
@@ -333,6 +1751,49 @@ EXAMPLES:
   # Stream large file conversion with column order
   node main.mjs -s -v -c "id,timestamp,event,data" large-logs.json output.csv
 
+  # Stream from stdin, deriving headers from the first 50 records
+  cat huge-export.json | node main.mjs -s -S 50 > output.csv
+
+  # Convert newline-delimited JSON logs, skipping malformed lines
+  node main.mjs -e skip -f app-logs.jsonl logs.csv
+
+  # NDJSON from stdin in streaming mode
+  cat events.ndjson | node main.mjs -i ndjson -s > events.csv
+
+  # One row per order line item, order fields repeated, tags joined into one cell
+  node main.mjs -f -a "orders=explode,orders.items=explode,tags=join" orders.json lines.csv
+
+  # Indexed columns for every array (orders.0.sku, orders.1.sku, ...)
+  node main.mjs -f -a index orders.json wide.csv
+
+  # Filter and sort instead of pre-processing with jq
+  node main.mjs -f -w 'status == "active" && stats.total > 10' -o "stats.total:desc,name" users.json active.csv
+
+  # Merge a day's dump files into one CSV, tagging each row with its file
+  node main.mjs -f --source-file -O merged.csv "dumps/2024-05-01/*.json"
+
+  # One CSV per input file, 8 at a time, streaming each file
+  node main.mjs -s --concurrency 8 --out-dir csv/ dumps/
+
+  # Profile columns before building an ETL job
+  node main.mjs -f --infer-schema events.json
+
+  # Gate a load on a JSON Schema, keeping bad rows for review
+  node main.mjs -f --schema events.schema.json --rejects rejects.jsonl --strict events.json events.csv
+
+  # Select, rename and format columns from a mapping spec
+  node main.mjs -M report-map.json orders.json report.csv
+
+  # Spreadsheet with typed cells and a frozen header row
+  node main.mjs -f orders.json orders.xlsx
+
+  # Markdown table for a PR description
+  node main.mjs -F markdown -c "name,status" services.json
+
+  # Convert an edited CSV back to JSON, rebuilding nested objects and typed values
+  node main.mjs -f --infer-schema users.csv users.json
+  node main.mjs -a index --schema users.schema.json users.csv users.json
+
   # Use stdin/stdout with column ordering
   cat data.json | node main.mjs -c "priority,name,status" > output.csv
 
@@ -352,14 +1813,34 @@ EXAMPLES:
         try {
             const { values, positionals } = parseArgs({
                 options: {
+                    'output-format': { type: 'string', short: 'F' },
                     delimiter: { type: 'string', short: 'd', default: ',' },
                     quote: { type: 'string', short: 'q', default: '"' },
                     newline: { type: 'string', short: 'n', default: '\n' },
                     headers: { type: 'string', short: 'H' },
                     'column-order': { type: 'string', short: 'c' }, // NEW: Column order option
+                    map: { type: 'string', short: 'M' },
+                    where: { type: 'string', short: 'w' },
+                    'infer-schema': { type: 'boolean', default: false },
+                    schema: { type: 'string' },
+                    rejects: { type: 'string' },
+                    strict: { type: 'boolean', default: false },
+                    'sort-by': { type: 'string', short: 'o' },
                     flatten: { type: 'boolean', short: 'f', default: false },
                     'max-depth': { type: 'string', short: 'm', default: '3' },
+                    'array-strategy': { type: 'string', short: 'a' },
+                    'join-separator': { type: 'string', short: 'j', default: '|' },
+                    'input-format': { type: 'string', short: 'i' },
+                    'on-error': { type: 'string', short: 'e', default: 'abort' },
+                    reverse: { type: 'boolean', short: 'r', default: false },
+                    'no-unflatten': { type: 'boolean', default: false },
+                    'no-formula-protection': { type: 'boolean', default: false },
                     stream: { type: 'boolean', short: 's', default: false },
+                    output: { type: 'string', short: 'O' },
+                    'out-dir': { type: 'string' },
+                    'source-file': { type: 'boolean', default: false },
+                    concurrency: { type: 'string', default: '4' },
+                    'sample-size': { type: 'string', short: 'S', default: '1000' },
                     verbose: { type: 'boolean', short: 'v', default: false },
                     debug: { type: 'boolean', short: 'D', default: false },
                     help: { type: 'boolean', short: 'h', default: false },
@@ -372,6 +1853,16 @@ EXAMPLES:
                 options: {
                     ...values,
                     maxDepth: parseInt(values['max-depth'], 10),
+                    arrayStrategies: values['array-strategy'] ? this.parseArrayStrategies(values['array-strategy']) : null,
+                    joinSeparator: values['join-separator'],
+                    sortBy: values['sort-by'] ? this.parseSortBy(values['sort-by']) : null,
+                    outputFormat: values['output-format'] ? values['output-format'].toLowerCase() : null,
+                    sampleSize: parseInt(values['sample-size'], 10),
+                    concurrency: parseInt(values.concurrency, 10),
+                    inputFormat: values['input-format'] ? values['input-format'].toLowerCase() : null,
+                    onError: values['on-error'],
+                    unflatten: !values['no-unflatten'],
+                    formulaProtection: !values['no-formula-protection'],
                     headers: values.headers ? values.headers.split(',').map(h => h.trim()) : null,
                     columnOrder: values['column-order'] ? values['column-order'].split(',').map(h => h.trim()) : null // NEW: Parse column order
                 },
@@ -382,7 +1873,140 @@ EXAMPLES:
         }
     }
 
-    async validateInputFile(filePath) {
+    // Parse "orders=explode,tags=join,index" into { orders: 'explode', tags: 'join', '*': 'index' }
+    parseArrayStrategies(spec) {
+        const strategies = {};
+
+        for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+            const separator = entry.lastIndexOf('=');
+            const path = separator === -1 ? '*' : entry.slice(0, separator).trim();
+            const strategy = (separator === -1 ? entry : entry.slice(separator + 1)).trim().toLowerCase();
+
+            if (!ARRAY_STRATEGIES.includes(strategy)) {
+                throw new Error(`Invalid array strategy "${strategy}" (expected ${ARRAY_STRATEGIES.join(', ')})`);
+            }
+            strategies[path] = strategy;
+        }
+
+        return strategies;
+    }
+
+    // Parse "stats.total:desc,name" into [{ field: 'stats.total', descending: true }, { field: 'name', descending: false }]
+    parseSortBy(spec) {
+        return spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = /^(.*?)(?::(asc|desc))?$/i.exec(part);
+            return { field: match[1], descending: (match[2] || '').toLowerCase() === 'desc' };
+        });
+    }
+
+    // Resolve the output format from --output-format or the output file extension
+    resolveOutputFormat(outputFormat, filePath) {
+        if (outputFormat) {
+            if (outputFormat === 'md') return 'markdown';
+            if (!OUTPUT_FORMATS.includes(outputFormat)) {
+                throw new Error(`Unsupported output format: ${outputFormat} (expected ${OUTPUT_FORMATS.join(', ')})`);
+            }
+            return outputFormat;
+        }
+        return (filePath && OUTPUT_EXTENSIONS[extname(filePath).toLowerCase()]) || 'csv';
+    }
+
+    // Read a JSON settings file (column map, JSON Schema); `label` is used in errors
+    async readJSONSpec(filePath, label) {
+        try {
+            return JSON.parse(await readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                throw new Error(`Invalid JSON in ${label} ${filePath}: ${error.message}`);
+            }
+            throw new Error(`Failed to read ${label} ${filePath}: ${error.message}`);
+        }
+    }
+
+    // Collect rejected records into an NDJSON file, or summarize them on stderr.
+    // The rejects file is opened up front so a bad path fails before any conversion.
+    async createRejectHandler(rejectsPath) {
+        const maxWarnings = 10;
+        let count = 0;
+        let streamError = null;
+        const stream = rejectsPath ? createWriteStream(rejectsPath, { encoding: 'utf8' }) : null;
+
+        if (stream) {
+            try {
+                await new Promise((resolve, reject) => {
+                    stream.once('open', resolve);
+                    stream.once('error', reject);
+                });
+            } catch (error) {
+                throw new Error(`Cannot open rejects file ${rejectsPath}: ${error.message}`);
+            }
+            stream.on('error', error => { streamError = streamError || error; });
+        }
+
+        return {
+            onReject: ({ index, errors, record }) => {
+                count++;
+                if (stream) {
+                    if (!streamError) stream.write(JSON.stringify({ index, errors, record }) + '\n');
+                } else if (count <= maxWarnings) {
+                    console.warn(`⚠️  Warning: Rejected record ${index}: ${errors.join('; ')}`);
+                }
+            },
+            close: async () => {
+                if (stream && !streamError) {
+                    await new Promise(resolve => {
+                        stream.once('error', resolve);
+                        stream.end(resolve);
+                    });
+                }
+                if (streamError) {
+                    throw new Error(`Failed to write rejects file ${rejectsPath}: ${streamError.message}`);
+                }
+                if (count > 0) {
+                    const detail = stream ? ` (written to ${rejectsPath})` : count > maxWarnings ? ` (${count - maxWarnings} not shown)` : '';
+                    console.warn(`⚠️  Warning: ${count} record(s) failed schema validation${detail}`);
+                }
+                return count;
+            }
+        };
+    }
+
+    // Close the rejects file; with --strict any rejected record fails the run. Sets the
+    // exit code instead of exiting so output already written to a pipe can drain.
+    // Returns false when the run failed validation.
+    async finishValidation(rejectHandler, strict) {
+        if (!rejectHandler) return true;
+
+        const rejected = await rejectHandler.close();
+        if (strict && rejected > 0) {
+            console.error(`❌ Error: ${rejected} record(s) failed schema validation (--strict)`);
+            process.exitCode = 2;
+            return false;
+        }
+        return true;
+    }
+
+    async inferSchemaReport(inputFile, outputFile, inputFormat, onError) {
+        if (inputFile) {
+            await this.validateInputFile(inputFile);
+        } else {
+            process.stdin.setEncoding('utf8');
+        }
+
+        const stream = inputFile ? createReadStream(inputFile, { encoding: 'utf8' }) : process.stdin;
+        const parser = inputFormat === 'ndjson' ? this.createNDJSONParser(onError) : new JSONArrayStreamParser();
+        const report = await this.converter.inferSchemaFromStream(stream, parser);
+        this.reportInvalidLines(parser, inputFile || 'stdin');
+
+        if (outputFile) {
+            await writeFile(outputFile, JSON.stringify(report, null, 2) + '\n', 'utf8');
+            this.converter.log(`Wrote schema report for ${report.columns.length} columns to ${outputFile}`, 'verbose');
+        } else {
+            console.log(SchemaInferrer.formatReport(report));
+        }
+    }
+
+    async validateInputFile(filePath, expectedExtensions = ['.json', ...NDJSON_EXTENSIONS]) {
         if (!existsSync(filePath)) {
             throw new Error(`Input file not found: ${filePath}`);
         }
@@ -392,8 +2016,8 @@ EXAMPLES:
             throw new Error(`Input path is not a file: ${filePath}`);
         }
 
-        if (extname(filePath).toLowerCase() !== '.json') {
-            console.warn(`⚠️  Warning: Input file doesn't have .json extension: ${filePath}`);
+        if (!expectedExtensions.includes(extname(filePath).toLowerCase())) {
+            console.warn(`⚠️  Warning: Input file doesn't have a ${expectedExtensions.join(', ')} extension: ${filePath}`);
         }
 
         return stats;
@@ -417,6 +2041,77 @@ EXAMPLES:
         }
     }
 
+    // Resolve the input format from --input-format or the file extension
+    resolveInputFormat(inputFormat, filePath) {
+        if (inputFormat) {
+            if (!['json', 'ndjson'].includes(inputFormat)) {
+                throw new Error(`Unsupported input format: ${inputFormat} (expected json or ndjson)`);
+            }
+            return inputFormat;
+        }
+        if (filePath && NDJSON_EXTENSIONS.includes(extname(filePath).toLowerCase())) {
+            this.converter.log(`Detected NDJSON input from extension: ${filePath}`, 'debug');
+            return 'ndjson';
+        }
+        return 'json';
+    }
+
+    createNDJSONParser(onError) {
+        return new NDJSONStreamParser({
+            onError,
+            onInvalidLine: ({ line, error }) => console.warn(`⚠️  Warning: Skipping malformed line ${line}: ${error}`)
+        });
+    }
+
+    reportInvalidLines(parser, source) {
+        if (parser.invalidLines && parser.invalidLines.length > 0) {
+            const lines = parser.invalidLines.map(({ line }) => line);
+            console.warn(`⚠️  Warning: Skipped ${lines.length} malformed line(s) in ${source}: ${lines.join(', ')}`);
+        }
+    }
+
+    // Read NDJSON line by line from a readable stream
+    async readNDJSON(stream, source, onError) {
+        const { records } = await this.parseNDJSON(stream, source, onError);
+        return records;
+    }
+
+    // Parse NDJSON from a stream, returning the records and the skipped malformed lines
+    async parseNDJSON(stream, source, onError) {
+        this.converter.log(`Reading NDJSON from ${source}`, 'verbose');
+
+        const parser = this.createNDJSONParser(onError);
+        const records = [];
+
+        try {
+            for await (const chunk of stream) {
+                for (const record of parser.write(chunk.toString())) records.push(record);
+            }
+            for (const record of parser.end()) records.push(record);
+        } catch (error) {
+            throw new Error(`Invalid NDJSON in ${source}: ${error.message}`);
+        }
+
+        this.reportInvalidLines(parser, source);
+        this.converter.log(`Successfully parsed NDJSON with ${records.length} records`, 'verbose');
+        return { records, invalidLines: parser.invalidLines };
+    }
+
+    // Read all records of one input file in either input format
+    async readRecords(filePath, inputFormat, onError) {
+        await this.validateInputFile(filePath);
+
+        if (inputFormat === 'ndjson') {
+            return this.parseNDJSON(createReadStream(filePath, { encoding: 'utf8' }), filePath, onError);
+        }
+
+        const records = await this.readJSONFromFile(filePath);
+        if (!Array.isArray(records)) {
+            throw new Error(`Input must be an array of objects: ${filePath}`);
+        }
+        return { records, invalidLines: [] };
+    }
+
     async readJSONFromStdin() {
         this.converter.log('Reading JSON from stdin...', 'verbose');
         
@@ -439,37 +2134,326 @@ EXAMPLES:
     }
 
     async writeCSVToFile(csvContent, filePath) {
-        this.converter.log(`Writing CSV to file: ${filePath}`, 'verbose');
+        const format = this.converter.outputFormat.toUpperCase();
+        this.converter.log(`Writing ${format} to file: ${filePath}`, 'verbose');
         
         try {
+            // csvContent is a Buffer for xlsx output, where the encoding is ignored
             await writeFile(filePath, csvContent, 'utf8');
             const stats = statSync(filePath);
-            this.converter.log(`Successfully wrote CSV to ${filePath} (${Math.round(stats.size / 1024)}KB)`, 'verbose');
+            this.converter.log(`Successfully wrote ${format} to ${filePath} (${Math.round(stats.size / 1024)}KB)`, 'verbose');
         } catch (error) {
-            throw new Error(`Failed to write CSV file: ${error.message}`);
+            throw new Error(`Failed to write ${format} file: ${error.message}`);
+        }
+    }
+
+    async readTextFromStdin() {
+        return new Promise((resolve, reject) => {
+            let data = '';
+
+            process.stdin.setEncoding('utf8');
+            process.stdin.on('data', chunk => data += chunk);
+            process.stdin.on('end', () => resolve(data));
+            process.stdin.on('error', reject);
+        });
+    }
+
+    // CSV to JSON direction
+    async reverseConversion(inputPath, outputPath, options) {
+        let csvContent;
+
+        if (inputPath) {
+            await this.validateInputFile(inputPath, ['.csv', '.tsv', '.txt']);
+            this.converter.log(`Reading CSV from file: ${inputPath}`, 'verbose');
+            csvContent = await readFile(inputPath, 'utf8');
+        } else {
+            this.converter.log('Reading CSV from stdin...', 'verbose');
+            csvContent = await this.readTextFromStdin();
         }
+
+        const jsonData = await this.converter.convertCSVToJSON(csvContent, {
+            unflatten: options.unflatten,
+            inferTypes: options['infer-schema'],
+            schema: options.schema || null
+        });
+        const jsonContent = JSON.stringify(jsonData, null, 2) + '\n';
+
+        if (outputPath) {
+            this.converter.log(`Writing JSON to file: ${outputPath}`, 'verbose');
+            try {
+                await writeFile(outputPath, jsonContent, 'utf8');
+            } catch (error) {
+                throw new Error(`Failed to write JSON file: ${error.message}`);
+            }
+        } else {
+            process.stdout.write(jsonContent);
+        }
+
+        this.converter.log(`Converted ${jsonData.length} CSV rows to JSON`, 'verbose');
     }
 
     writeCSVToStdout(csvContent) {
-        this.converter.log('Writing CSV to stdout', 'verbose');
+        this.converter.log(`Writing ${this.converter.outputFormat.toUpperCase()} to stdout`, 'verbose');
         process.stdout.write(csvContent);
     }
 
-    async streamConversion(inputPath, outputPath) {
-        this.converter.log('Starting streaming conversion...', 'verbose');
+    // A failed conversion removes its partial output file. Batch mode passes a converter
+    // per file so concurrent streams do not share counters.
+    async streamConversion(inputPath, outputPath, { sampleSize, inputFormat, onError, converter = this.converter } = {}) {
+        converter.log('Starting streaming conversion...', 'verbose');
         
-        const readStream = createReadStream(inputPath, { encoding: 'utf8' });
+        if (!inputPath) process.stdin.setEncoding('utf8');
+        const readStream = inputPath ? createReadStream(inputPath, { encoding: 'utf8' }) : process.stdin;
         const writeStream = outputPath ? createWriteStream(outputPath, { encoding: 'utf8' }) : process.stdout;
-        const transformStream = this.converter.createStreamTransform();
+        const parser = inputFormat === 'ndjson' ? this.createNDJSONParser(onError) : new JSONArrayStreamParser();
+        const transformStream = converter.createStreamTransform(null, { sampleSize, parser });
 
         try {
             await pipeline(readStream, transformStream, writeStream);
-            this.converter.log('Streaming conversion completed successfully', 'verbose');
+            this.reportInvalidLines(parser, inputPath || 'stdin');
+            converter.log('Streaming conversion completed successfully', 'verbose');
+            return { ...transformStream.stats, invalidLines: parser.invalidLines || [] };
         } catch (error) {
+            if (outputPath) await rm(outputPath, { force: true });
             throw new Error(`Streaming conversion failed: ${error.message}`);
         }
     }
 
+    // Convert a glob pattern into a RegExp: ** spans directories, * and ? stay within
+    // one path segment, {a,b} is an alternation and [...] a character class
+    globToRegExp(pattern) {
+        let source = '';
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '*' && pattern[i + 1] === '*') {
+                const slash = pattern[i + 2] === '/';
+                source += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '{') {
+                const close = pattern.indexOf('}', i);
+                if (close === -1) {
+                    source += '\\{';
+                    continue;
+                }
+                const options = pattern.slice(i + 1, close).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&'));
+                source += `(?:${options.join('|')})`;
+                i = close;
+            } else if (char === '[') {
+                const close = pattern.indexOf(']', i + 1);
+                if (close === -1) {
+                    source += '\\[';
+                    continue;
+                }
+                source += `[${pattern.slice(i + 1, close).replace(/^!/, '^')}]`;
+                i = close;
+            } else {
+                source += char.replace(/[.+^$()|\\\]]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`);
+    }
+
+    async walkFiles(directory, maxDepth) {
+        const files = [];
+        const entries = await readdir(directory, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const path = directory === '.' ? entry.name : `${directory}/${entry.name}`;
+            if (entry.isDirectory()) {
+                if (maxDepth > 1 && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                    files.push(...await this.walkFiles(path, maxDepth - 1));
+                }
+            } else if (entry.isFile()) {
+                files.push(path);
+            }
+        }
+
+        return files;
+    }
+
+    // Expand input arguments into a sorted, de-duplicated file list. Globs are matched
+    // relative to their static prefix; directories contribute their .json/.ndjson/.jsonl files.
+    async expandInputPaths(patterns) {
+        const files = new Set();
+
+        for (const rawPattern of patterns) {
+            const pattern = rawPattern.replace(/\\/g, '/').replace(/^\.\//, '');
+            let matches;
+
+            if (GLOB_CHARACTERS.test(pattern)) {
+                const segments = pattern.split('/');
+                const firstGlob = segments.findIndex(segment => GLOB_CHARACTERS.test(segment));
+                const base = segments.slice(0, firstGlob).join('/') || '.';
+                const maxDepth = pattern.includes('**') ? Infinity : segments.length - firstGlob;
+                const regex = this.globToRegExp(pattern);
+
+                matches = existsSync(base) ? (await this.walkFiles(base, maxDepth)).filter(file => regex.test(file)) : [];
+            } else if (existsSync(pattern) && statSync(pattern).isDirectory()) {
+                const extensions = ['.json', ...NDJSON_EXTENSIONS];
+                matches = (await this.walkFiles(pattern.replace(/\/$/, ''), 1))
+                    .filter(file => extensions.includes(extname(file).toLowerCase()));
+            } else {
+                matches = [pattern];
+            }
+
+            if (matches.length === 0) {
+                console.warn(`⚠️  Warning: No input files match ${rawPattern}`);
+            }
+            matches.sort().forEach(file => files.add(file));
+        }
+
+        return Array.from(files);
+    }
+
+    // Run `worker` over `items` with at most `limit` in flight, preserving result order
+    async runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    // Convert several inputs: merged into one output with a unified header (default), or
+    // one output per input when --out-dir is given. Failures are isolated per file.
+    async batchConversion(patterns, options) {
+        const files = await this.expandInputPaths(patterns);
+        if (files.length === 0) {
+            throw new Error('No input files to convert');
+        }
+
+        const concurrency = options.concurrency;
+        const outDir = options['out-dir'];
+        this.converter.log(`Batch converting ${files.length} file(s) with concurrency ${concurrency}${outDir ? ` into ${outDir}` : ''}`, 'verbose');
+
+        const results = outDir
+            ? await this.convertFilesToDirectory(files, outDir, options)
+            : await this.convertFilesMerged(files, options);
+
+        this.printBatchSummary(results);
+
+        if (results.some(result => result.error)) {
+            throw new Error(`${results.filter(result => result.error).length} of ${results.length} file(s) failed`);
+        }
+    }
+
+    async convertFilesToDirectory(files, outDir, options) {
+        await mkdir(outDir, { recursive: true });
+
+        const format = this.converter.outputFormat;
+        const usedNames = new Set();
+        const outputPaths = files.map(file => {
+            const stem = basename(file, extname(file));
+            let name = `${stem}${FORMAT_EXTENSIONS[format]}`;
+            for (let suffix = 2; usedNames.has(name); suffix++) {
+                name = `${stem}-${suffix}${FORMAT_EXTENSIONS[format]}`;
+            }
+            usedNames.add(name);
+            return join(outDir, name);
+        });
+
+        return this.runWithConcurrency(files, options.concurrency, async (file, index) => {
+            const output = outputPaths[index];
+            const inputFormat = this.resolveInputFormat(options.inputFormat, file);
+            // Each file gets its own converter so neutralized and rejected counts stay per file
+            const converter = new JSONToCSVConverter({ ...options, sheetName: basename(output, extname(output)) });
+
+            try {
+                if (options.stream) {
+                    await this.validateInputFile(file);
+                    const stats = await this.streamConversion(file, output, { sampleSize: options.sampleSize, inputFormat, onError: options.onError, converter });
+                    return { file, output, records: stats.records, invalid: stats.invalidLines.length, rejected: stats.rejected };
+                }
+
+                const { records, invalidLines } = await this.readRecords(file, inputFormat, options.onError);
+                const content = await converter.convertJSON(records);
+                const rejected = converter.rejectedCount;
+                await writeFile(output, content, 'utf8');
+
+                return { file, output, records: records.length - rejected, invalid: invalidLines.length, rejected };
+            } catch (error) {
+                return { file, output, records: 0, invalid: 0, rejected: 0, error: error.message };
+            }
+        });
+    }
+
+    async convertFilesMerged(files, options) {
+        const perFile = await this.runWithConcurrency(files, options.concurrency, async (file) => {
+            try {
+                const { records, invalidLines } = await this.readRecords(file, this.resolveInputFormat(options.inputFormat, file), options.onError);
+                return { file, records, invalid: invalidLines.length };
+            } catch (error) {
+                return { file, records: [], invalid: 0, error: error.message };
+            }
+        });
+
+        const merged = [];
+        const results = perFile.map(({ file, records, invalid, error }) => {
+            const accepted = records.filter((record, index) => this.converter.acceptRecord(record, index));
+            const source = basename(file);
+
+            for (const record of accepted) {
+                merged.push(options['source-file'] && typeof record === 'object' && record !== null
+                    ? { source_file: source, ...record }
+                    : record);
+            }
+            return { file, records: accepted.length, invalid, rejected: records.length - accepted.length, error };
+        });
+
+        if (options['source-file'] && !this.converter.headers && !this.converter.columnMap) {
+            this.converter.columnOrder = ['source_file', ...(this.converter.columnOrder || []).filter(column => column !== 'source_file')];
+        }
+
+        const content = await this.converter.convertJSON(merged);
+        if (options.output) {
+            await this.writeCSVToFile(content, options.output);
+        } else {
+            this.writeCSVToStdout(content);
+        }
+
+        return results;
+    }
+
+    // Per-file summary on stderr so it never mixes with output written to stdout. Error
+    // messages are folded onto one line so they cannot break the table.
+    printBatchSummary(results) {
+        const rows = results.map(result => [
+            result.file,
+            String(result.records),
+            String(result.invalid + result.rejected + (result.error ? 1 : 0)),
+            result.error ? `failed: ${result.error.replace(/\s*[\r\n]+\s*/g, ' ')}` : (result.output || 'merged')
+        ]);
+        const totals = results.reduce((sum, result) => ({
+            records: sum.records + result.records,
+            errors: sum.errors + result.invalid + result.rejected + (result.error ? 1 : 0)
+        }), { records: 0, errors: 0 });
+
+        const table = [['File', 'Records', 'Errors', 'Output'], ...rows, ['TOTAL', String(totals.records), String(totals.errors), `${results.length} file(s)`]];
+        const widths = table[0].map((_, index) => Math.max(...table.map(row => row[index].length)));
+        const line = row => row.map((cell, index) => index === 1 || index === 2 ? cell.padStart(widths[index]) : cell.padEnd(widths[index])).join('  ').trimEnd();
+
+        console.error('');
+        console.error(line(table[0]));
+        console.error(widths.map(width => '-'.repeat(width)).join('  '));
+        table.slice(1, -1).forEach(row => console.error(line(row)));
+        console.error(widths.map(width => '-'.repeat(width)).join('  '));
+        console.error(line(table[table.length - 1]));
+    }
+
     async run() {
         try {
             const { options, positionals } = this.parseArguments();
@@ -489,12 +2473,45 @@ EXAMPLES:
                 console.warn('⚠️  Warning: Both --headers and --column-order specified. --headers takes precedence and will override column ordering.');
             }
 
+            if (options.map) {
+                if (options.headers || options.columnOrder) {
+                    console.warn('⚠️  Warning: --map defines headers and column order; --headers and --column-order are ignored.');
+                }
+                options.columnMap = await this.readJSONSpec(options.map, 'column map');
+            }
+
+            const batch = Boolean(options.output || options['out-dir']) ||
+                positionals.some(input => GLOB_CHARACTERS.test(input) || (existsSync(input) && statSync(input).isDirectory()));
+            const inputFile = batch ? null : positionals[0];
+            const outputFile = batch ? options.output : positionals[1];
+            const reverse = options.reverse || Boolean(inputFile && extname(inputFile).toLowerCase() === '.csv');
+
+            if (!options.reverse) {
+                options.outputFormat = this.resolveOutputFormat(options.outputFormat, outputFile);
+                if (outputFile) {
+                    options.sheetName = basename(outputFile, extname(outputFile));
+                }
+            }
+
+            let rejectHandler = null;
+            if (options.schema) {
+                options.schema = await this.readJSONSpec(options.schema, 'JSON Schema');
+            }
+            // Only JSON to CSV conversion validates records; --reverse uses the schema for types
+            if (reverse || options['infer-schema']) {
+                if (options.rejects || options.strict) {
+                    throw new Error('--rejects and --strict cannot be combined with --reverse or --infer-schema');
+                }
+            } else if (options.schema) {
+                rejectHandler = await this.createRejectHandler(options.rejects);
+                options.onReject = rejectHandler.onReject;
+            } else if (options.rejects || options.strict) {
+                console.warn('⚠️  Warning: --rejects and --strict only apply together with --schema.');
+            }
+
             // Initialize converter with options
             this.converter = new JSONToCSVConverter(options);
 
-            const inputFile = positionals[0];
-            const outputFile = positionals[1];
-
             this.converter.log(`Starting JSON to CSV conversion...`, 'verbose');
             this.converter.log(`Input: ${inputFile || 'stdin'}`, 'debug');
             this.converter.log(`Output: ${outputFile || 'stdout'}`, 'debug');
@@ -504,17 +2521,86 @@ EXAMPLES:
                 this.converter.log(`Column order specified: [${options.columnOrder.join(', ')}]`, 'verbose');
             }
 
+            // Batch mode: several inputs, merged or one output each
+            if (batch) {
+                if (options.reverse || options['infer-schema']) {
+                    throw new Error('Batch mode does not support --reverse or --infer-schema');
+                }
+                if (options.stream && options.sortBy) {
+                    throw new Error('--sort-by needs all records in memory and cannot be combined with --stream');
+                }
+                if (options.stream && !options['out-dir']) {
+                    throw new Error('Batch --stream needs --out-dir; merged output is built in memory');
+                }
+                if (options.stream && options.outputFormat === 'xlsx') {
+                    throw new Error('xlsx output is built in memory and cannot be combined with --stream');
+                }
+                if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+                    throw new Error(`Invalid --concurrency: ${options.concurrency}`);
+                }
+                if (!['abort', 'skip'].includes(options.onError)) {
+                    throw new Error(`Invalid --on-error mode: ${options.onError} (expected abort or skip)`);
+                }
+                await this.batchConversion(positionals, options);
+                if (!await this.finishValidation(rejectHandler, options.strict)) return;
+                this.converter.log('🎉 Conversion completed successfully!', 'verbose');
+                return;
+            }
+
+            // Reverse mode: CSV to JSON
+            if (reverse) {
+                await this.reverseConversion(inputFile, outputFile, options);
+                this.converter.log('🎉 Conversion completed successfully!', 'verbose');
+                return;
+            }
+
+            if (!['abort', 'skip'].includes(options.onError)) {
+                throw new Error(`Invalid --on-error mode: ${options.onError} (expected abort or skip)`);
+            }
+
+            const inputFormat = this.resolveInputFormat(options.inputFormat, inputFile);
+
+            // Schema inference mode: report on the columns, no conversion
+            if (options['infer-schema']) {
+                await this.inferSchemaReport(inputFile, outputFile, inputFormat, options.onError);
+                return;
+            }
+
             // Streaming mode for large files
-            if (options.stream && inputFile) {
-                await this.validateInputFile(inputFile);
-                await this.streamConversion(inputFile, outputFile);
+            if (options.stream) {
+                if (options.sortBy) {
+                    throw new Error('--sort-by needs all records in memory and cannot be combined with --stream');
+                }
+                if (options.outputFormat === 'xlsx') {
+                    throw new Error('xlsx output is built in memory and cannot be combined with --stream');
+                }
+                if (!Number.isInteger(options.sampleSize) || options.sampleSize < 1) {
+                    throw new Error(`Invalid --sample-size: ${options['sample-size']}`);
+                }
+                if (inputFile) {
+                    await this.validateInputFile(inputFile);
+                }
+                await this.streamConversion(inputFile, outputFile, {
+                    sampleSize: options.sampleSize,
+                    inputFormat,
+                    onError: options.onError
+                });
+                await this.finishValidation(rejectHandler, options.strict);
                 return;
             }
 
             // Standard mode - parseArgument loads JSON from file
             let jsonData;
             
-            if (inputFile) {
+            if (inputFormat === 'ndjson') {
+                if (inputFile) {
+                    await this.validateInputFile(inputFile);
+                } else {
+                    process.stdin.setEncoding('utf8');
+                }
+                const stream = inputFile ? createReadStream(inputFile, { encoding: 'utf8' }) : process.stdin;
+                jsonData = await this.readNDJSON(stream, inputFile || 'stdin', options.onError);
+            } else if (inputFile) {
                 await this.validateInputFile(inputFile);
                 jsonData = await this.readJSONFromFile(inputFile);
             } else {
@@ -522,7 +2608,7 @@ EXAMPLES:
             }
 
             // JSONToCSVConverter takes JSON object as argument
-            const csvContent = await this.converter.convertJSONToCSV(jsonData);
+            const csvContent = await this.converter.convertJSON(jsonData);
 
             // Output CSV
             if (outputFile) {
@@ -531,6 +2617,7 @@ EXAMPLES:
                 this.writeCSVToStdout(csvContent);
             }
 
+            if (!await this.finishValidation(rejectHandler, options.strict)) return;
             this.converter.log('🎉 Conversion completed successfully!', 'verbose');
 
         } catch (error) {
@@ -552,4 +2639,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     cli.run();
 }
 
-export { JSONToCSVConverter, JSONToCSVCLI };
+export { JSONArrayStreamParser, NDJSONStreamParser, SchemaInferrer, JSONToCSVConverter, JSONToCSVCLI };
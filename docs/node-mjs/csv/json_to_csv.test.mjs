@@ -0,0 +1,411 @@
+/**
+ * Tests for json_to_csv.mjs
+ *
+ * Run with: node --test docs/node-mjs/csv/
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { JSONArrayStreamParser, NDJSONStreamParser, SchemaInferrer, JSONToCSVConverter, JSONToCSVCLI } from './json_to_csv.mjs';
+import { JSONSchemaValidator } from './json-schema-validator.mjs';
+import { runScript, tempDir } from '../test-helpers.mjs';
+
+const CLI_PATH = fileURLToPath(new URL('./json_to_csv.mjs', import.meta.url));
+
+const runCLI = (args, cwd) => runScript(CLI_PATH, args, { cwd });
+
+// Feed `chunks` through a converter stream transform and collect the text it writes
+async function streamText(transform, chunks) {
+    let output = '';
+    for await (const chunk of Readable.from(chunks).pipe(transform)) {
+        output += chunk.toString();
+    }
+    return output;
+}
+
+describe('JSONArrayStreamParser', () => {
+    test('returns elements as soon as they are complete, across chunk boundaries', () => {
+        const parser = new JSONArrayStreamParser();
+
+        assert.deepEqual(parser.write('[{"a": "x,'), []);
+        assert.deepEqual(parser.write('y}", "b": [1, 2]}, 4'), [{ a: 'x,y}', b: [1, 2] }]);
+        assert.deepEqual(parser.write('2, "s\\"q"'), [42, 's"q']);
+        assert.deepEqual(parser.write(', null]'), [null]);
+        assert.deepEqual(parser.end(), []);
+    });
+
+    test('rejects input that is not a closed array', () => {
+        assert.throws(() => new JSONArrayStreamParser().write('{"a": 1}'), /must be an array/);
+
+        const unclosed = new JSONArrayStreamParser();
+        unclosed.write('[{"a": 1},');
+        assert.throws(() => unclosed.end(), /array not closed after 1 elements/);
+
+        assert.throws(() => new JSONArrayStreamParser().write('[1,,2]'), /Unexpected ','/);
+    });
+});
+
+describe('createStreamTransform', () => {
+    test('derives headers from the sample and streams the remaining records', async () => {
+        const converter = new JSONToCSVConverter();
+        const transform = converter.createStreamTransform(null, { sampleSize: 2 });
+        const csv = await streamText(transform, ['[{"b": 1, "a": "x"}, {"a": "y"', '}, {"a": "z", "late": true}]']);
+
+        assert.equal(csv, 'a,b\nx,1\ny,\nz,\n');
+        assert.equal(transform.stats.records, 3);
+    });
+
+    test('writes the header once for empty input when headers are given', async () => {
+        const converter = new JSONToCSVConverter();
+        const csv = await streamText(converter.createStreamTransform(['id', 'name']), ['[]']);
+        assert.equal(csv, 'id,name\n');
+    });
+});
+
+describe('NDJSONStreamParser', () => {
+    test('parses lines split across chunks and strips a leading BOM', () => {
+        const parser = new NDJSONStreamParser();
+
+        assert.deepEqual(parser.write('\uFEFF{"a": 1}\n{"a"'), [{ a: 1 }]);
+        assert.deepEqual(parser.write(': 2}\r\n\n[3]\n'), [{ a: 2 }, [3]]);
+        assert.deepEqual(parser.write('"last"'), []);
+        assert.deepEqual(parser.end(), ['last']);
+    });
+
+    test('aborts on a malformed line by default, with its line number', () => {
+        assert.throws(() => new NDJSONStreamParser().write('{"a": 1}\n{oops}\n'), /Invalid JSON on line 2/);
+    });
+
+    test('skips and records malformed lines with onError "skip"', () => {
+        const reported = [];
+        const parser = new NDJSONStreamParser({ onError: 'skip', onInvalidLine: invalid => reported.push(invalid.line) });
+
+        assert.deepEqual(parser.write('{"a": 1}\nnot json\n{"a": 3}\n'), [{ a: 1 }, { a: 3 }]);
+        assert.deepEqual(parser.invalidLines.map(({ line }) => line), [2]);
+        assert.deepEqual(reported, [2]);
+    });
+
+    test('streams NDJSON through the converter transform', async () => {
+        const converter = new JSONToCSVConverter();
+        const transform = converter.createStreamTransform(null, { parser: new NDJSONStreamParser() });
+        const csv = await streamText(transform, ['{"id": 1}\n{"id"', ': 2}\n']);
+        assert.equal(csv, 'id\n1\n2\n');
+    });
+});
+
+describe('convertCSVToJSON', () => {
+    const records = [
+        { id: '042', count: 42, note: '', missing: null, labels: { 0: 'a', 1: 'b' }, tags: ['x', 'y'], formula: '=1+1', active: true }
+    ];
+
+    const roundTrip = async (options) => {
+        const converter = new JSONToCSVConverter({ flatten: true, arrayStrategies: { tags: 'index' } });
+        return converter.convertCSVToJSON(await converter.convertJSONToCSV(records), options);
+    };
+
+    test('keeps every cell a string by default, including empty ones', async () => {
+        assert.deepEqual(await roundTrip(), [{
+            active: 'true',
+            count: '42',
+            formula: '=1+1',
+            id: '042',
+            labels: { 0: 'a', 1: 'b' },
+            missing: '',
+            note: '',
+            tags: ['x', 'y']
+        }]);
+    });
+
+    test('types whole columns with inferTypes, leaving non-canonical numbers as strings', async () => {
+        const [record] = await roundTrip({ inferTypes: true });
+        assert.equal(record.count, 42);
+        assert.equal(record.active, true);
+        assert.equal(record.id, '042');
+        // null and '' are both written as an empty cell
+        assert.equal(record.missing, '');
+    });
+
+    test('takes column types from a JSON Schema', async () => {
+        const schema = {
+            properties: {
+                id: { type: 'string' },
+                count: { type: 'integer' },
+                missing: { type: ['integer', 'null'] },
+                active: { type: 'boolean' }
+            }
+        };
+        const [record] = await roundTrip({ schema });
+        assert.equal(record.id, '042');
+        assert.equal(record.count, 42);
+        assert.equal(record.missing, null);
+        assert.equal(record.active, true);
+    });
+
+    test('only rebuilds arrays at paths written with the index strategy', async () => {
+        const converter = new JSONToCSVConverter();
+        const [record] = await converter.convertCSVToJSON('tags.0,tags.1\nx,y\n');
+        assert.deepEqual(record, { tags: { 0: 'x', 1: 'y' } });
+    });
+
+    test('parses quoted fields with delimiters, doubled quotes and line breaks', async () => {
+        const converter = new JSONToCSVConverter();
+        const rows = await converter.convertCSVToJSON('a,b\r\n"x, ""y""","line 1\nline 2"\r\n');
+        assert.deepEqual(rows, [{ a: 'x, "y"', b: 'line 1\nline 2' }]);
+    });
+});
+
+describe('array strategies', () => {
+    const order = { id: 1, tags: ['a', 'b'], lines: [{ sku: 'X', qty: 2 }, { sku: 'Y', qty: 1 }] };
+
+    test('json keeps the array in one cell by default', () => {
+        const converter = new JSONToCSVConverter({ flatten: true });
+        assert.deepEqual(converter.flattenRows(order), [{ id: 1, tags: '["a","b"]', lines: '[{"sku":"X","qty":2},{"sku":"Y","qty":1}]' }]);
+    });
+
+    test('index writes one column per element', () => {
+        const converter = new JSONToCSVConverter({ flatten: true, arrayStrategies: { '*': 'index' } });
+        assert.deepEqual(converter.flattenRows(order), [{
+            id: 1, 'tags.0': 'a', 'tags.1': 'b', 'lines.0.sku': 'X', 'lines.0.qty': 2, 'lines.1.sku': 'Y', 'lines.1.qty': 1
+        }]);
+    });
+
+    test('join and explode combine per path', () => {
+        const converter = new JSONToCSVConverter({ flatten: true, arrayStrategies: { tags: 'join', lines: 'explode' }, joinSeparator: ';' });
+        assert.deepEqual(converter.flattenRows(order), [
+            { id: 1, tags: 'a;b', 'lines.sku': 'X', 'lines.qty': 2 },
+            { id: 1, tags: 'a;b', 'lines.sku': 'Y', 'lines.qty': 1 }
+        ]);
+    });
+
+    test('explode keeps the parent row for an empty array and multiplies several arrays', () => {
+        const converter = new JSONToCSVConverter({ flatten: true, arrayStrategies: { '*': 'explode' } });
+        assert.deepEqual(converter.flattenRows({ id: 1, tags: [] }), [{ id: 1 }]);
+        assert.equal(converter.flattenRows({ a: [1, 2], b: [3, 4, 5] }).length, 6);
+    });
+
+    test('rejects unknown strategies', () => {
+        assert.throws(() => new JSONToCSVConverter({ arrayStrategies: { tags: 'spread' } }), /Invalid array strategy "spread"/);
+    });
+});
+
+describe('column map', () => {
+    const records = [
+        { user: { name: ' ada ', country: 'gb' }, total: 1234.5, meta: { 'created.at': '2024-03-05T10:20:30Z' } },
+        { user: { name: 'bob', country: 'xx' }, total: '', meta: {} }
+    ];
+
+    test('selects, renames, orders and transforms columns', async () => {
+        const converter = new JSONToCSVConverter({
+            flatten: true,
+            columnMap: {
+                columns: [
+                    { source: 'user.name', header: 'Name', transform: ['trim', 'upper'] },
+                    { source: 'user.country', header: 'Country', transform: { type: 'lookup', table: { gb: 'United Kingdom' }, default: 'Other' } },
+                    { source: 'total', header: 'Total', transform: { type: 'number', decimals: 2 }, default: '0.00' },
+                    { source: 'meta["created.at"]', header: 'Created', transform: { type: 'date', format: 'YYYY-MM-DD' } }
+                ]
+            }
+        });
+
+        assert.equal(
+            await converter.convertJSONToCSV(records),
+            'Name,Country,Total,Created\nADA,United Kingdom,1234.50,2024-03-05\nBOB,Other,0.00,'
+        );
+    });
+
+    test('appends unmapped columns after the mapped ones with keepUnmapped', async () => {
+        const converter = new JSONToCSVConverter({
+            flatten: true,
+            columnMap: { keepUnmapped: true, columns: [{ source: 'total', header: 'Total' }] }
+        });
+        const csv = await converter.convertJSONToCSV([{ id: 7, total: 3 }]);
+        assert.equal(csv, 'Total,id\n3,7');
+    });
+
+    test('rejects malformed maps when the converter is built', () => {
+        assert.throws(() => new JSONToCSVConverter({ columnMap: { columns: [] } }), /non-empty "columns" array/);
+        assert.throws(() => new JSONToCSVConverter({ columnMap: [{ source: 'a..b' }] }), /Invalid source path: a\.\.b/);
+        assert.throws(() => new JSONToCSVConverter({ columnMap: [{ source: 'a', transform: 'reverse' }] }), /Unknown transform for "a"/);
+    });
+});
+
+describe('where filter', () => {
+    const records = [
+        { name: 'Ada', age: 36, tags: ['admin'] },
+        { name: 'bob', age: '9', tags: [] },
+        { name: 'Cy', age: null, tags: ['user'] }
+    ];
+
+    const names = async (where) => {
+        const converter = new JSONToCSVConverter({ flatten: true, arrayStrategies: { tags: 'index' }, where, headers: ['name'] });
+        const csv = await converter.convertJSONToCSV(records);
+        return csv.split('\n').slice(1);
+    };
+
+    test('compares numbers numerically and combines with && || !', async () => {
+        assert.deepEqual(await names('age > 10'), ['Ada']);
+        assert.deepEqual(await names('age < 10 || !age'), ['bob', 'Cy']);
+        assert.deepEqual(await names('tags.0 == "admin" && age >= 36'), ['Ada']);
+    });
+
+    test('matches literal and field regular expressions', async () => {
+        assert.deepEqual(await names('name =~ "^[A-Z]"'), ['Ada', 'Cy']);
+        assert.deepEqual(await names('name =~ name'), ['Ada', 'bob', 'Cy']);
+    });
+
+    test('rejects an invalid literal pattern when compiled, not per row', () => {
+        assert.throws(() => new JSONToCSVConverter({ where: 'name =~ "("' }), /Invalid --where expression: .*at position 8/);
+    });
+
+    test('reports syntax errors with their position', () => {
+        assert.throws(() => new JSONToCSVConverter({ where: 'age > ' }), /Unexpected end of expression at position 6/);
+        assert.throws(() => new JSONToCSVConverter({ where: 'age 5' }), /Unexpected token "5" at position 4/);
+    });
+});
+
+describe('table output formats', () => {
+    test('markdown escapes pipes, HTML-significant characters and line breaks', async () => {
+        const converter = new JSONToCSVConverter({ outputFormat: 'markdown' });
+        const table = await converter.convertJSON([{ a: 'x|y', b: '<script>&</script>', c: 'one\ntwo' }]);
+        assert.equal(table, '| a | b | c |\n| --- | --- | --- |\n| x\\|y | &lt;script&gt;&amp;&lt;/script&gt; | one<br>two |');
+    });
+
+    test('html escapes cell values', async () => {
+        const converter = new JSONToCSVConverter({ outputFormat: 'html' });
+        const table = await converter.convertJSON([{ a: '<b>"x"</b>' }]);
+        assert.ok(table.includes('<td>&lt;b&gt;&quot;x&quot;&lt;/b&gt;</td>'));
+    });
+});
+
+describe('schema inference and validation', () => {
+    test('profiles types, null rate, cardinality and range per column', () => {
+        const inferrer = new SchemaInferrer({ maxExamples: 2 });
+        for (const row of [{ id: 1, when: '2024-01-02', score: 1.5 }, { id: 2, when: '', score: 3 }, { id: 3, when: '2024-01-02T10:00:00Z' }]) {
+            inferrer.addRow(row);
+        }
+
+        const [id, score, when] = inferrer.getReport().columns;
+        assert.deepEqual(id, { name: 'id', types: { integer: 3 }, nullCount: 0, nullRate: 0, cardinality: 3, cardinalityCapped: false, min: 1, max: 3, examples: [1, 2] });
+        assert.deepEqual(score.types, { number: 1, integer: 1 });
+        assert.equal(score.nullCount, 1);
+        assert.deepEqual(when.types, { date: 1, 'date-time': 1 });
+    });
+
+    test('skips records that fail the schema and reports them to onReject', async () => {
+        const rejected = [];
+        const converter = new JSONToCSVConverter({
+            schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+            onReject: reject => rejected.push(reject)
+        });
+
+        assert.equal(await converter.convertJSONToCSV([{ id: 1 }, { id: 'x' }, {}]), 'id\n1');
+        assert.deepEqual(rejected.map(({ index }) => index), [1, 2]);
+        assert.equal(converter.rejectedCount, 2);
+    });
+
+    test('writes rejects as NDJSON and exits 2 under --strict after writing the output', t => {
+        const dir = tempDir(t, {
+            'schema.json': { type: 'object', properties: { id: { type: 'integer' } } },
+            'in.json': [{ id: 1 }, { id: 'x' }]
+        });
+
+        const result = runCLI(['--schema', 'schema.json', '--rejects', 'rejects.jsonl', '--strict', 'in.json'], dir);
+
+        assert.equal(result.status, 2);
+        assert.equal(result.stdout.trim(), 'id\n1');
+        assert.match(result.stderr, /1 record\(s\) failed schema validation \(--strict\)/);
+        const [reject] = readFileSync(join(dir, 'rejects.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(reject.record, { id: 'x' });
+    });
+
+    test('required and additionalProperties only count own properties', () => {
+        const validator = new JSONSchemaValidator({
+            type: 'object',
+            required: ['toString'],
+            properties: { id: { type: 'integer' } },
+            additionalProperties: false
+        });
+
+        assert.deepEqual(validator.validate({ toString: 'x' }).map(({ path }) => path), ['/toString']);
+        assert.deepEqual(validator.validate({}), [{ path: '/toString', message: 'is required' }]);
+        assert.deepEqual(validator.validate({ toString: 1, constructor: 'x' }).map(({ path }) => path), ['/toString', '/constructor']);
+    });
+
+    test('rejects --rejects and --strict where no records are validated', t => {
+        const dir = tempDir(t, {
+            'schema.json': { type: 'object', properties: { id: { type: 'integer' } } },
+            'in.csv': 'id\n1\n',
+            'in.json': [{ id: 1 }]
+        });
+
+        for (const args of [['in.csv'], ['--reverse', 'in.json'], ['--infer-schema', 'in.json']]) {
+            const result = runCLI(['--schema', 'schema.json', '--rejects', 'rejects.jsonl', '--strict', ...args], dir);
+            assert.equal(result.status, 1);
+            assert.match(result.stderr, /--rejects and --strict cannot be combined with --reverse or --infer-schema/);
+        }
+        assert.equal(existsSync(join(dir, 'rejects.jsonl')), false);
+
+        const typed = runCLI(['--schema', 'schema.json', 'in.csv'], dir);
+        assert.equal(typed.status, 0, typed.stderr);
+        assert.deepEqual(JSON.parse(typed.stdout), [{ id: 1 }]);
+    });
+
+    test('fails cleanly when the rejects file cannot be opened', t => {
+        const dir = tempDir(t, {
+            'schema.json': { type: 'object' },
+            'in.json': [{ id: 1 }]
+        });
+
+        const result = runCLI(['--schema', 'schema.json', '--rejects', join(dir, 'missing', 'r.jsonl'), 'in.json'], dir);
+
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /❌ Error: Cannot open rejects file .*ENOENT/);
+        assert.equal(result.stdout, '');
+    });
+});
+
+describe('batch conversion', () => {
+    const files = {
+        'a.json': [{ v: '=1' }, { v: '=2' }],
+        'b.json': [{ v: '=3' }],
+        'bad.json': '[{"v": "=4"}, oops'
+    };
+
+    test('merges inputs under one header with --output', t => {
+        const dir = tempDir(t, files);
+        const result = runCLI(['--output', 'all.csv', '--source-file', 'a.json', 'b.json'], dir);
+
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(readFileSync(join(dir, 'all.csv'), 'utf8'), "source_file,v\na.json,'=1\na.json,'=2\nb.json,'=3");
+    });
+
+    test('keeps counts per file and removes partial output of a failed stream', t => {
+        const dir = tempDir(t, files);
+        const result = runCLI(['--out-dir', 'out', '--stream', '--verbose', '--concurrency', '3', '*.json'], dir);
+
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /1 of 3 file\(s\) failed/);
+        assert.equal(readFileSync(join(dir, 'out', 'a.csv'), 'utf8'), "v\n'=1\n'=2\n");
+        assert.equal(existsSync(join(dir, 'out', 'bad.csv')), false);
+
+        const neutralized = result.stderr.match(/neutralized \d+ cell/g);
+        assert.deepEqual(neutralized.sort(), ['neutralized 1 cell', 'neutralized 2 cell']);
+    });
+
+    test('prints each error on a single summary line', t => {
+        const lines = [];
+        t.mock.method(console, 'error', line => lines.push(line));
+
+        new JSONToCSVCLI().printBatchSummary([
+            { file: 'a.json', records: 2, invalid: 0, rejected: 0, output: 'out/a.csv' },
+            { file: 'bad.json', records: 0, invalid: 0, rejected: 0, error: 'Unexpected token\n  at line 3\r\n' }
+        ]);
+
+        assert.equal(lines.length, 7);
+        assert.match(lines[4], /^bad\.json\s+0\s+1\s+failed: Unexpected token at line 3$/);
+    });
+});
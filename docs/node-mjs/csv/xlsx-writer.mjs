@@ -0,0 +1,281 @@
+/**
+ * Minimal XLSX Writer
+ *
+ * Builds a single-sheet Office Open XML workbook (.xlsx) entirely in memory with no
+ * dependencies beyond Node's zlib. Used by json_to_csv.mjs for --output-format xlsx.
+ *
+ * Features:
+ * - Typed cells: numbers, booleans, dates (ISO strings or Date objects) and text
+ * - Bold, frozen header row
+ * - Column widths sized from the longest value in each column
+ */
+
+import { deflateRawSync } from 'zlib';
+
+const MAX_CELL_LENGTH = 32767; // Excel's limit for text in a single cell
+const MAX_COLUMN_WIDTH = 60;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Style indexes in styles.xml cellXfs
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_DATETIME = 3;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function escapeXML(value) {
+    return String(value)
+        // Strip characters that are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Excel stores dates as days since 1899-12-30
+function toExcelSerial(date) {
+    return date.getTime() / 86400000 + 25569;
+}
+
+// Store files in a ZIP archive (deflate compression, no data descriptors)
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const { name, content } of files) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const compressed = deflateRawSync(data);
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 file names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt16LE(0, 10);            // mod time
+        local.writeUInt16LE(0x21, 12);         // mod date (1980-01-01)
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);          // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+class XLSXWriter {
+    /**
+     * Build an XLSX workbook
+     * @param {Array<string>} headers - Column headers, written as a frozen bold first row
+     * @param {Array<Object>} rows - Row objects keyed by header
+     * @param {Object} [options]
+     * @param {string} [options.sheetName='Sheet1']
+     * @param {boolean} [options.detectDates=true] - Write ISO date strings as date cells
+     * @returns {Buffer}
+     */
+    static build(headers, rows, { sheetName = 'Sheet1', detectDates = true } = {}) {
+        const widths = headers.map(header => String(header).length);
+        const sheetRows = [];
+
+        sheetRows.push(XLSXWriter.rowXML(0, headers.map((header, column) => (
+            `<c r="${columnName(column)}1" s="${STYLE_HEADER}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(header)}</t></is></c>`
+        ))));
+
+        rows.forEach((row, index) => {
+            const cells = [];
+            headers.forEach((header, column) => {
+                const cell = XLSXWriter.cellXML(row[header], `${columnName(column)}${index + 2}`, detectDates);
+                if (cell) {
+                    cells.push(cell.xml);
+                    widths[column] = Math.max(widths[column], cell.width);
+                }
+            });
+            sheetRows.push(XLSXWriter.rowXML(index + 1, cells));
+        });
+
+        const cols = widths.map((width, column) => (
+            `<col min="${column + 1}" max="${column + 1}" width="${Math.min(width + 2, MAX_COLUMN_WIDTH)}" customWidth="1"/>`
+        )).join('');
+
+        const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+            '</sheetView></sheetViews>' +
+            '<sheetFormatPr defaultRowHeight="15"/>' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${sheetRows.join('')}</sheetData>` +
+            '</worksheet>';
+
+        return createZip([
+            { name: '[Content_Types].xml', content: XLSXWriter.contentTypesXML() },
+            { name: '_rels/.rels', content: XLSXWriter.rootRelsXML() },
+            { name: 'xl/workbook.xml', content: XLSXWriter.workbookXML(sheetName) },
+            { name: 'xl/_rels/workbook.xml.rels', content: XLSXWriter.workbookRelsXML() },
+            { name: 'xl/styles.xml', content: XLSXWriter.stylesXML() },
+            { name: 'xl/worksheets/sheet1.xml', content: sheet }
+        ]);
+    }
+
+    static rowXML(index, cells) {
+        return `<row r="${index + 1}">${cells.join('')}</row>`;
+    }
+
+    // Returns { xml, width } for a cell, or null for blank values
+    static cellXML(value, ref, detectDates) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return { xml: `<c r="${ref}"><v>${value}</v></c>`, width: String(value).length };
+        }
+
+        if (typeof value === 'boolean') {
+            return { xml: `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`, width: 5 };
+        }
+
+        const date = value instanceof Date ? value
+            : detectDates && typeof value === 'string' ? XLSXWriter.parseISODate(value)
+            : null;
+        if (date && !Number.isNaN(date.getTime())) {
+            const dateOnly = typeof value === 'string' && value.length === 10;
+            const style = dateOnly ? STYLE_DATE : STYLE_DATETIME;
+            return { xml: `<c r="${ref}" s="${style}"><v>${toExcelSerial(date)}</v></c>`, width: dateOnly ? 10 : 19 };
+        }
+
+        let text = String(value);
+        if (text.length > MAX_CELL_LENGTH) text = text.slice(0, MAX_CELL_LENGTH);
+        const longestLine = text.split('\n').reduce((max, line) => Math.max(max, line.length), 0);
+
+        return {
+            xml: `<c r="${ref}" s="${STYLE_DEFAULT}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`,
+            width: longestLine
+        };
+    }
+
+    // Excel cells carry no zone, so the sheet shows the wall-clock time as written: any
+    // Z or ±hh:mm offset is dropped and the remaining date-time is encoded as UTC.
+    static parseISODate(value) {
+        const match = ISO_DATE_PATTERN.exec(value);
+        if (!match) return null;
+        const wallClock = value.slice(0, value.length - (match[1] || '').length).replace(' ', 'T');
+        return new Date(wallClock.length === 10 ? wallClock : `${wallClock}Z`);
+    }
+
+    static contentTypesXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>';
+    }
+
+    static rootRelsXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    static workbookXML(sheetName) {
+        // Sheet names are limited to 31 characters and may not contain : \ / ? * [ ]
+        const safeName = String(sheetName).replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet1';
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXML(safeName)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>';
+    }
+
+    static workbookRelsXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>';
+    }
+
+    static stylesXML() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="2">' +
+            '<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+            '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/>' +
+            '</numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+}
+
+export { XLSXWriter };
@@ -0,0 +1,58 @@
+/**
+ * Tests for xlsx-writer.mjs
+ *
+ * Run with: node --test docs/node-mjs/csv/
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync } from 'zlib';
+import { XLSXWriter } from './xlsx-writer.mjs';
+
+// Excel serial for a UTC wall-clock time: days since 1899-12-30
+const serial = iso => Date.parse(`${iso}Z`) / 86400000 + 25569;
+
+// Read one entry back out of the ZIP produced by XLSXWriter.build
+function readEntry(zip, name) {
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = zip.readUInt32LE(offset + 18);
+        const nameLength = zip.readUInt16LE(offset + 26);
+        const extraLength = zip.readUInt16LE(offset + 28);
+        const dataStart = offset + 30 + nameLength + extraLength;
+        if (zip.toString('utf8', offset + 30, offset + 30 + nameLength) === name) {
+            return inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+        }
+        offset = dataStart + compressedSize;
+    }
+    return null;
+}
+
+describe('XLSXWriter.parseISODate', () => {
+    test('keeps the wall-clock time of zoned date-times', () => {
+        assert.equal(XLSXWriter.parseISODate('2024-03-05T10:20:00+02:00').toISOString(), '2024-03-05T10:20:00.000Z');
+        assert.equal(XLSXWriter.parseISODate('2024-03-05T10:20:00-0530').toISOString(), '2024-03-05T10:20:00.000Z');
+        assert.equal(XLSXWriter.parseISODate('2024-03-05T10:20:00Z').toISOString(), '2024-03-05T10:20:00.000Z');
+        assert.equal(XLSXWriter.parseISODate('2024-03-05 10:20').toISOString(), '2024-03-05T10:20:00.000Z');
+    });
+
+    test('parses date-only values and ignores anything else', () => {
+        assert.equal(XLSXWriter.parseISODate('2024-03-05').toISOString(), '2024-03-05T00:00:00.000Z');
+        assert.equal(XLSXWriter.parseISODate('05/03/2024'), null);
+    });
+});
+
+describe('XLSXWriter.build', () => {
+    test('writes typed cells under a bold header row', () => {
+        const zip = XLSXWriter.build(['n', 'ok', 'when', 'day', 'text'], [
+            { n: 42, ok: true, when: '2024-03-05T10:20:00+02:00', day: '2024-03-05', text: 'a < b & c' }
+        ]);
+        const sheet = readEntry(zip, 'xl/worksheets/sheet1.xml');
+
+        assert.match(sheet, /<c r="A2"><v>42<\/v><\/c>/);
+        assert.match(sheet, /<c r="B2" t="b"><v>1<\/v><\/c>/);
+        assert.ok(sheet.includes(`<c r="C2" s="3"><v>${serial('2024-03-05T10:20:00')}</v></c>`));
+        assert.ok(sheet.includes(`<c r="D2" s="2"><v>${serial('2024-03-05T00:00:00')}</v></c>`));
+        assert.match(sheet, /<t xml:space="preserve">a &lt; b &amp; c<\/t>/);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * CSV Seeding Helpers
+ *
+ * Shared by schema-generator.js and the seeders it writes: reads a CSV with the
+ * sniffed (or overridden) dialect and bulk-inserts its rows in chunks, converting each
+ * cell to its column's inferred Sequelize type. Empty cells become NULL.
+ */
+
+import fs from "fs";
+import { parse } from "csv-parse/sync";
+import { decodeBuffer, generatedHeaders, recordDelimiters, resolveDialect } from "../csv/csv-dialect.mjs";
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const DATEONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read CSV records using the sniffed (or overridden) dialect
+ * @returns {{ dialect: Object, records: Object[] }} Records are keyed by header
+ */
+export function readCSVRecords(filePath, dialectSpecs) {
+  const buffer = fs.readFileSync(filePath);
+  const dialect = resolveDialect(buffer, dialectSpecs);
+
+  const rows = parse(decodeBuffer(buffer, dialect), {
+    delimiter: dialect.delimiter,
+    quote: dialect.quote,
+    record_delimiter: recordDelimiters(dialect),
+    skip_empty_lines: true,
+    relax_column_count: true,
+  });
+  if (!rows.length) return { dialect, records: [] };
+
+  const headers = dialect.header ? rows.shift() : generatedHeaders(rows[0].length);
+  const records = rows.map((row) =>
+    Object.fromEntries(headers.map((header, i) => [header, row[i] ?? ""]))
+  );
+  return { dialect, records };
+}
+
+/**
+ * Convert one CSV cell to the value inserted for a Sequelize type name.
+ * BIGINT and DECIMAL stay strings so they keep digits a JS number would lose.
+ */
+export function convertValue(type, raw) {
+  const value = (raw ?? "").trim();
+  if (value === "") return null;
+
+  const invalid = () => new Error(`"${value}" is not a valid ${type}`);
+  switch (type) {
+    case "INTEGER":
+      if (!INTEGER_PATTERN.test(value)) throw invalid();
+      return Number(value);
+    case "BIGINT":
+      if (!INTEGER_PATTERN.test(value)) throw invalid();
+      return value;
+    case "DECIMAL":
+      if (!NUMBER_PATTERN.test(value)) throw invalid();
+      return value;
+    case "DOUBLE":
+      if (!NUMBER_PATTERN.test(value)) throw invalid();
+      return Number(value);
+    case "BOOLEAN":
+      if (/^true$/i.test(value)) return true;
+      if (/^false$/i.test(value)) return false;
+      throw invalid();
+    case "DATEONLY":
+      if (!DATEONLY_PATTERN.test(value)) throw invalid();
+      return value;
+    case "DATE": {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw invalid();
+      return date;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Insert every CSV row into a table, `chunkSize` rows per INSERT, in one transaction.
+ * All rows are converted first, so a bad cell fails the seed before anything is written.
+ * @param {import('sequelize').QueryInterface} queryInterface
+ * @param {Object} options
+ * @param {string} options.tableName
+ * @param {string} options.csvPath
+ * @param {Object<string, string>} options.columns - CSV header → Sequelize type name
+ * @param {string[]} [options.dialect] - --dialect overrides the model was generated with
+ * @param {number} [options.chunkSize=500]
+ * @returns {Promise<number>} Rows inserted
+ */
+export async function bulkInsertCSV(queryInterface, { tableName, csvPath, columns, dialect, chunkSize = 500 }) {
+  const { records } = readCSVRecords(csvPath, dialect);
+  const headers = Object.keys(columns);
+
+  if (records.length) {
+    const missing = headers.filter((header) => !(header in records[0]));
+    if (missing.length) {
+      throw new Error(`${csvPath} is missing column(s): ${missing.join(", ")}`);
+    }
+  }
+
+  const rows = records.map((record, i) =>
+    Object.fromEntries(
+      headers.map((header) => {
+        try {
+          return [header, convertValue(columns[header], record[header])];
+        } catch (err) {
+          throw new Error(`${csvPath} data row ${i + 1}, column "${header}": ${err.message}`);
+        }
+      })
+    )
+  );
+
+  await queryInterface.sequelize.transaction(async (transaction) => {
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      await queryInterface.bulkInsert(tableName, rows.slice(start, start + chunkSize), { transaction });
+    }
+  });
+  return rows.length;
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for csv-seed.mjs
+ *
+ * Run with: node --test docs/node-mjs/sequelize-csv-to-schema-model/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "path";
+import { convertValue, readCSVRecords } from "./csv-seed.mjs";
+import { tempDir } from "../test-helpers.mjs";
+
+// Write `content` to a CSV file in a temporary directory; removed after the test
+const tempCSV = (t, content) => join(tempDir(t, { "data.csv": content }), "data.csv");
+
+describe("readCSVRecords", () => {
+  test("keys records by header", (t) => {
+    const { dialect, records } = readCSVRecords(tempCSV(t, "id;name\n1;Ann\n2;\n"));
+
+    assert.equal(dialect.delimiter, ";");
+    assert.deepEqual(records, [
+      { id: "1", name: "Ann" },
+      { id: "2", name: "" },
+    ]);
+  });
+
+  test("splits records on the dialect's line ending", (t) => {
+    // CR line endings, but the first record ends in CRLF
+    const { dialect, records } = readCSVRecords(tempCSV(t, "id,note\r\n1,x\r2,y\r"));
+    assert.equal(dialect.lineEnding, "\r");
+    assert.deepEqual(records, [
+      { id: "1", note: "x" },
+      { id: "2", note: "y" },
+    ]);
+  });
+
+  test("drops the BOM when the encoding is overridden", (t) => {
+    const filePath = tempCSV(t, Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from("id,city\n1,Berlin\n")]));
+    const { records } = readCSVRecords(filePath, ["encoding=latin1"]);
+    assert.deepEqual(records, [{ id: "1", city: "Berlin" }]);
+  });
+
+  test("names columns column_1..N without a header row", (t) => {
+    const { records } = readCSVRecords(tempCSV(t, "1,Ann\n2,Bob\n"), ["header=false"]);
+    assert.deepEqual(records[1], { column_1: "2", column_2: "Bob" });
+  });
+});
+
+describe("convertValue", () => {
+  test("converts cells to the inserted value for their type", () => {
+    assert.equal(convertValue("INTEGER", " 42 "), 42);
+    assert.equal(convertValue("BIGINT", "9007199254740993"), "9007199254740993");
+    assert.equal(convertValue("DECIMAL", "0.10"), "0.10");
+    assert.equal(convertValue("DOUBLE", "1e3"), 1000);
+    assert.equal(convertValue("BOOLEAN", "FALSE"), false);
+    assert.equal(convertValue("DATEONLY", "2024-02-29"), "2024-02-29");
+    assert.deepEqual(convertValue("DATE", "2024-01-01T10:00:00Z"), new Date("2024-01-01T10:00:00Z"));
+    assert.equal(convertValue("STRING", "01234"), "01234");
+  });
+
+  test("turns empty cells into NULL and rejects values that do not fit", () => {
+    assert.equal(convertValue("INTEGER", ""), null);
+    assert.equal(convertValue("STRING", undefined), null);
+    assert.throws(() => convertValue("INTEGER", "1.5"), /"1.5" is not a valid INTEGER/);
+    assert.throws(() => convertValue("BOOLEAN", "yes"), /"yes" is not a valid BOOLEAN/);
+    assert.throws(() => convertValue("DATE", "soon"), /"soon" is not a valid DATE/);
+  });
+});
@@ -0,0 +1,726 @@
+#!/usr/bin/env node
+
+import fs from "fs";
+import readline from "readline";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath, pathToFileURL } from "url";
+import { describeDialect } from "../csv/csv-dialect.mjs";
+import { readCSVRecords } from "./csv-seed.mjs";
+
+/**
+ * Prompt user for file input
+ */
+async function promptForCSVPath() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const question = (query) =>
+    new Promise((resolve) => rl.question(query, resolve));
+  const filePath = await question("Enter path to CSV file: ");
+  rl.close();
+  return filePath.trim();
+}
+
+const INT32_RANGE = [-(2n ** 31n), 2n ** 31n - 1n];
+const INT64_RANGE = [-(2n ** 63n), 2n ** 63n - 1n];
+const MAX_DECIMAL_PRECISION = 65;
+const STRING_LENGTHS = [32, 64, 128, 255];
+const NUMERIC_RANK = { integer: 1, bigint: 2, decimal: 3, float: 4 };
+const ENUM_MAX_VALUES = 10;
+const CSV_EXTENSIONS = [".csv", ".tsv"];
+const SEED_HELPERS = fileURLToPath(new URL("./csv-seed.mjs", import.meta.url));
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATEONLY_PATTERN = /^(\d{4}-\d{2}-\d{2})$/;
+const DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Date.parse accepts 2024-02-30, so check the calendar day survives a round trip
+function isCalendarDate(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(day);
+}
+
+/**
+ * Classify a single CSV value. Numbers with leading zeros (zip codes, account
+ * numbers) stay strings so they keep their zeros.
+ * @returns {{ kind: string, digits?: number, scale?: number }}
+ */
+function classifyValue(value) {
+  if (/^(true|false)$/i.test(value)) return { kind: "boolean" };
+
+  const number = value.match(/^[+-]?(0|[1-9]\d*)(?:\.(\d+))?$/);
+  if (number) {
+    const digits = number[1].length;
+    const scale = number[2] ? number[2].length : 0;
+    if (scale) return { kind: "decimal", digits, scale };
+
+    const integer = BigInt(value);
+    if (integer >= INT32_RANGE[0] && integer <= INT32_RANGE[1]) return { kind: "integer", digits, scale };
+    if (integer >= INT64_RANGE[0] && integer <= INT64_RANGE[1]) return { kind: "bigint", digits, scale };
+    return { kind: "decimal", digits, scale };
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)e[+-]?\d+$/i.test(value)) return { kind: "float" };
+
+  if (UUID_PATTERN.test(value)) return { kind: "uuid" };
+  const dateOnly = value.match(DATEONLY_PATTERN);
+  if (dateOnly && isCalendarDate(dateOnly[1])) return { kind: "dateonly" };
+  const dateTime = value.match(DATETIME_PATTERN);
+  if (dateTime && isCalendarDate(dateTime[1]) && !Number.isNaN(Date.parse(value))) return { kind: "date" };
+
+  return { kind: "string" };
+}
+
+/**
+ * Pick evenly spaced rows so a sample covers the whole file, not just its start
+ */
+function sampleRecords(records, sampleSize) {
+  if (!sampleSize || records.length <= sampleSize) return records;
+  const step = records.length / sampleSize;
+  return Array.from({ length: sampleSize }, (_, i) => records[Math.floor(i * step)]);
+}
+
+/**
+ * Widen the kinds seen in a column to one type:
+ * INTEGER → BIGINT → DECIMAL(p, s) → DOUBLE, DATEONLY → DATE, anything mixed → STRING
+ */
+function widenKinds(kinds) {
+  const seen = Object.keys(kinds);
+  if (seen.length === 0) return "string";
+  if (seen.length === 1) return seen[0];
+  if (seen.every((kind) => kind in NUMERIC_RANK)) {
+    return seen.reduce((widest, kind) => (NUMERIC_RANK[kind] > NUMERIC_RANK[widest] ? kind : widest));
+  }
+  if (seen.every((kind) => kind === "date" || kind === "dateonly")) return "date";
+  return "string";
+}
+
+/**
+ * Infer one column from its values
+ */
+function inferColumn(name, values, { rowCount, sampled, enumMaxValues }) {
+  const kinds = {};
+  const distinct = new Set();
+  let empty = 0;
+  let digits = 0;
+  let scale = 0;
+  let maxLength = 0;
+
+  for (const raw of values) {
+    const value = (raw ?? "").trim();
+    if (value === "") {
+      empty++;
+      continue;
+    }
+
+    const info = classifyValue(value);
+    kinds[info.kind] = (kinds[info.kind] || 0) + 1;
+    if (info.digits) digits = Math.max(digits, info.digits);
+    if (info.scale) scale = Math.max(scale, info.scale);
+    maxLength = Math.max(maxLength, [...value].length);
+    if (distinct.size <= enumMaxValues) distinct.add(value);
+  }
+
+  const filled = values.length - empty;
+  let kind = widenKinds(kinds);
+  if (kind === "decimal" && digits + scale > MAX_DECIMAL_PRECISION) kind = "float";
+
+  const column = { name, kind, allowNull: empty > 0, empty, filled, kinds, maxLength, notes: [] };
+
+  // Share of values that were already of the chosen type; only STRING absorbs values
+  // of other kinds, every other type is picked only when all values fit it
+  const conforming = kind === "string" ? kinds.string || 0 : filled;
+  column.confidence = filled ? conforming / filled : 0;
+
+  switch (kind) {
+    case "integer":
+      column.type = "INTEGER";
+      break;
+    case "bigint":
+      column.type = "BIGINT";
+      break;
+    case "decimal":
+      column.type = "DECIMAL";
+      column.args = [Math.max(digits, 1) + scale, scale];
+      break;
+    case "float":
+      column.type = "DOUBLE";
+      break;
+    case "boolean":
+      column.type = "BOOLEAN";
+      break;
+    case "uuid":
+      column.type = "UUID";
+      break;
+    case "dateonly":
+      column.type = "DATEONLY";
+      break;
+    case "date":
+      column.type = "DATE";
+      break;
+    default: {
+      const length = STRING_LENGTHS.find((limit) => maxLength <= limit);
+      column.type = length ? "STRING" : "TEXT";
+      if (length) column.args = [length];
+    }
+  }
+
+  if (filled === 0) {
+    column.notes.push("no values, defaulted to STRING");
+  } else if (kind === "string" && Object.keys(kinds).length > 1) {
+    const mixed = Object.entries(kinds)
+      .sort((a, b) => b[1] - a[1])
+      .map(([k, count]) => `${k} ${count}`)
+      .join(", ");
+    column.notes.push(`mixed values (${mixed}) forced ${column.type}`);
+  }
+
+  // A handful of values repeated across many rows looks like a status/category column
+  if (kind === "string" && distinct.size <= enumMaxValues && filled >= Math.max(10, distinct.size * 3)) {
+    column.enumValues = [...distinct].sort();
+    column.notes.push(`ENUM candidate (${column.enumValues.length} distinct values)`);
+  }
+
+  if (filled > 0 && filled < 5) column.notes.push(`only ${filled} non-empty value(s)`);
+  if (sampled) column.notes.push(`inferred from ${values.length} of ${rowCount} rows`);
+  return column;
+}
+
+/**
+ * Infer every column's type across all rows (or an evenly spaced sample of them)
+ * @param {string[]} headers
+ * @param {Object[]} records
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize] - Rows to inspect; all rows when omitted
+ * @param {number} [options.enumMaxValues=10] - Most distinct values an ENUM candidate may have
+ */
+function inferColumns(headers, records, { sampleSize, enumMaxValues = ENUM_MAX_VALUES } = {}) {
+  const sample = sampleRecords(records, sampleSize);
+  const sampled = sample.length < records.length;
+
+  return headers.map((header) => {
+    const column = inferColumn(header, sample.map((record) => record[header]), {
+      rowCount: records.length,
+      sampled,
+      enumMaxValues,
+    });
+    // Empty cells are cheap to find, so nullability always looks at every row
+    if (sampled) {
+      column.allowNull = records.some((record) => (record[header] ?? "").trim() === "");
+    }
+    return column;
+  });
+}
+
+/**
+ * Split a header into lowercase words: "Order-ID" → ["order", "id"], "firstName" → ["first", "name"]
+ */
+function splitWords(text) {
+  return text
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split(/[^A-Za-z\d]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+function toCamelCase(text) {
+  const words = splitWords(text);
+  const name = words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join("");
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+function toPascalCase(text) {
+  const name = toCamelCase(text);
+  return name && name[0].toUpperCase() + name.slice(1);
+}
+
+function toSnakeCase(text) {
+  return splitWords(text).join("_");
+}
+
+/**
+ * camelCase attribute names for CSV headers, unique within the model. Columns whose
+ * header changed keep it through the attribute's `field` mapping.
+ */
+function assignAttributeNames(columns) {
+  const used = new Set();
+  columns.forEach((column, i) => {
+    const base = toCamelCase(column.name) || `column${i + 1}`;
+    let attribute = base;
+    for (let n = 2; used.has(attribute); n++) attribute = `${base}${n}`;
+    used.add(attribute);
+    column.attribute = attribute;
+  });
+  return columns;
+}
+
+/**
+ * Pick the primary key: the requested column, or else the best column whose values are
+ * present and unique in every row. "id" wins, then other *id columns, then the first
+ * INTEGER/BIGINT/UUID candidate. Returns null when nothing qualifies.
+ */
+function detectPrimaryKey(columns, records, requested) {
+  if (requested === "none") return null;
+  if (requested) {
+    const column = columns.find((c) => c.name === requested || c.attribute === requested);
+    if (!column) {
+      throw new Error(`Primary key column not found: ${requested}\nAvailable headers: ${columns.map((c) => c.name).join(", ")}`);
+    }
+    return { column, detected: false };
+  }
+
+  const isUnique = (column) => {
+    const seen = new Set();
+    for (const record of records) {
+      const value = (record[column.name] ?? "").trim();
+      if (value === "" || seen.has(value)) return false;
+      seen.add(value);
+    }
+    return true;
+  };
+  const candidates = columns.filter((column) => column.kind !== "boolean" && column.type !== "TEXT" && isUnique(column));
+  const column =
+    candidates.find((c) => c.attribute === "id") ||
+    candidates.find((c) => /Id$/.test(c.attribute)) ||
+    candidates.find((c) => ["integer", "bigint", "uuid"].includes(c.kind));
+  return column ? { column, detected: true } : null;
+}
+
+/**
+ * Sequelize type expression for an inferred column, e.g. DataTypes.DECIMAL(10, 2).
+ * Migrations use the Sequelize namespace instead of DataTypes.
+ */
+function formatDataType(column, { enums = false, namespace = "DataTypes" } = {}) {
+  if (enums && column.enumValues) {
+    return `${namespace}.ENUM(${column.enumValues.map((value) => JSON.stringify(value)).join(", ")})`;
+  }
+  return column.args ? `${namespace}.${column.type}(${column.args.join(", ")})` : `${namespace}.${column.type}`;
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// Relative path for generated code, with forward slashes on every platform
+function relativeImportPath(fromDir, target) {
+  return path.relative(fromDir, target).split(path.sep).join("/");
+}
+
+/**
+ * Generate Sequelize model definition
+ */
+function generateSequelizeModelDefinition(name, columns, { tableName, enums = false } = {}) {
+  const fields = columns.map((column) => {
+    const lines = [`type: ${formatDataType(column, { enums })}`, `allowNull: ${column.allowNull}`];
+    if (column.primaryKey) lines.push("primaryKey: true");
+    if (column.attribute !== column.name) lines.push(`field: ${JSON.stringify(column.name)}`);
+    return `    ${column.attribute}: {\n${lines.map((line) => `      ${line}`).join(",\n")}\n    }`;
+  });
+
+  return `// models/${name}.js
+import { DataTypes } from 'sequelize';
+import sequelize from '../sequelize.js'; // Assumes an existing Sequelize instance
+
+const ${name} = sequelize.define('${name}', {
+${fields.join(",\n")}
+}, {
+  tableName: '${tableName}',
+  timestamps: false
+});
+
+export default ${name};
+`;
+}
+
+/**
+ * Per-column confidence report written next to the model (Markdown)
+ */
+function generateTypeReport(name, columns, { rowCount, enums = false }) {
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const rows = columns.map((column) => {
+    const type = formatDataType(column, { enums }).replace("DataTypes.", "");
+    const attribute = column.attribute === column.name ? column.name : `${column.attribute} (${column.name})`;
+    return `| ${attribute} | ${type} | ${column.allowNull ? "yes" : "no"} | ${percent(column.confidence)} | ${column.notes.join("; ")} |`;
+  });
+
+  return `# ${name} type report
+
+Inferred from ${rowCount} row(s). Confidence is the share of non-empty values that
+already matched the chosen type; low values point at dirty data worth a look.
+
+| Column | Type | Nullable | Confidence | Notes |
+| --- | --- | --- | --- | --- |
+${rows.join("\n")}
+`;
+}
+
+/**
+ * queryInterface.createTable migration matching the model (sequelize-cli format).
+ * Columns use the original CSV headers, which the model maps through `field`.
+ */
+function generateMigration(model, { fileName, enums = false }) {
+  const columns = model.columns.map((column) => {
+    const lines = [`type: ${formatDataType(column, { enums, namespace: "Sequelize" })}`, `allowNull: ${column.allowNull}`];
+    if (column.primaryKey) lines.push("primaryKey: true");
+    return `      ${propertyKey(column.name)}: {\n${lines.map((line) => `        ${line}`).join(",\n")}\n      }`;
+  });
+  // Models without a primary key column get Sequelize's default id
+  if (!model.primaryKey) {
+    columns.unshift(`      id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true
+      }`);
+  }
+
+  return `'use strict';
+
+// migrations/${fileName} (generated from ${path.basename(model.filePath)})
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('${model.tableName}', {
+${columns.join(",\n")}
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('${model.tableName}');
+  }
+};
+`;
+}
+
+/**
+ * Seeder that loads the CSV into the table through csv-seed.mjs, converting each cell
+ * to its inferred type. The CSV is read at seed time, so it is not copied into the seeder.
+ */
+function generateSeeder(model, { fileName, seedersDir, dialect = [], chunkSize }) {
+  const types = model.columns.map((column) => `  ${propertyKey(column.name)}: '${column.type}'`);
+  const overrides = dialect.filter((spec) => spec !== "show");
+
+  return `'use strict';
+
+// seeders/${fileName} (loads ${path.basename(model.filePath)} into ${model.tableName})
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const CSV_PATH = path.resolve(__dirname, ${JSON.stringify(relativeImportPath(seedersDir, model.filePath))});
+const SEED_HELPERS = path.resolve(__dirname, ${JSON.stringify(relativeImportPath(seedersDir, SEED_HELPERS))});
+
+// CSV header → inferred Sequelize type
+const COLUMNS = {
+${types.join(",\n")}
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    const { bulkInsertCSV } = await import(pathToFileURL(SEED_HELPERS).href);
+    const inserted = await bulkInsertCSV(queryInterface, {
+      tableName: '${model.tableName}',
+      csvPath: CSV_PATH,
+      columns: COLUMNS,
+      dialect: ${JSON.stringify(overrides)},
+      chunkSize: ${chunkSize}
+    });
+    console.log(\`🌱 Seeded \${inserted} rows into ${model.tableName}\`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('${model.tableName}', null, {});
+  }
+};
+`;
+}
+
+// sequelize-cli style prefix: YYYYMMDDHHmmss (UTC)
+function migrationTimestamp(date) {
+  return date.toISOString().replace(/\D/g, "").slice(0, 14);
+}
+
+/**
+ * Run each model's migration and seeder against the database configured by
+ * sequelize-config/index.mjs (DB_* environment variables). A table that already
+ * exists is dropped and recreated when it is empty or `replace` is set; one that
+ * holds rows is left alone and reported.
+ */
+async function applyToDatabase(models, log, { replace = false } = {}) {
+  const { QueryTypes, Sequelize } = await import("sequelize");
+  const { default: sequelize } = await import("../sequelize-config/index.mjs");
+  const queryInterface = sequelize.getQueryInterface();
+
+  try {
+    for (const model of models) {
+      const migration = (await import(pathToFileURL(path.resolve(model.migrationPath)).href)).default;
+      const seeder = (await import(pathToFileURL(path.resolve(model.seederPath)).href)).default;
+
+      if (await queryInterface.tableExists(model.tableName)) {
+        const [{ count }] = await sequelize.query(
+          `SELECT COUNT(*) AS count FROM ${queryInterface.quoteIdentifier(model.tableName)}`,
+          { type: QueryTypes.SELECT }
+        );
+        if (Number(count) > 0 && !replace) {
+          throw new Error(
+            `Table ${model.tableName} already exists with ${count} row(s); ` +
+              "drop it or rerun with --replace to recreate it from the CSV"
+          );
+        }
+        await migration.down(queryInterface, Sequelize);
+        log(`♻️  ${model.tableName} dropped (${count} row(s)) to be recreated`);
+      }
+      await migration.up(queryInterface, Sequelize);
+      await seeder.up(queryInterface, Sequelize);
+      log(`🗄️  ${model.tableName} created and seeded`);
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+/**
+ * File name of an earlier migration or seeder for the same table, so a rerun with
+ * --apply updates it instead of adding a second one that would run after it
+ */
+function findGeneratedFile(dir, kind, tableName) {
+  if (!fs.existsSync(dir)) return undefined;
+  const pattern = new RegExp(`^\\d{14}-${kind}-${tableName}\\.cjs$`);
+  return fs.readdirSync(dir).sort().find((file) => pattern.test(file));
+}
+
+/**
+ * CSV files to generate models for: files as given, directories expanded to their CSVs
+ */
+function collectCSVFiles(inputs) {
+  return inputs.flatMap((input) => {
+    if (!fs.existsSync(input)) throw new Error(`File does not exist: ${input}`);
+    if (!fs.statSync(input).isDirectory()) return [input];
+
+    const files = fs
+      .readdirSync(input)
+      .filter((file) => CSV_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .map((file) => path.join(input, file));
+    if (!files.length) throw new Error(`No CSV files in directory: ${input}`);
+    return files;
+  });
+}
+
+/**
+ * Infer columns and build the model and report for one CSV file
+ */
+function buildModel(filePath, options) {
+  let records;
+  try {
+    const csv = readCSVRecords(filePath, options.dialect);
+    if (options.dialect) console.error(describeDialect(csv.dialect));
+    records = csv.records;
+  } catch (err) {
+    throw new Error(`Could not read CSV ${filePath}: ${err.message}`);
+  }
+  if (!records.length) throw new Error(`CSV contains no data: ${filePath}`);
+
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const name = options.name || toPascalCase(baseName) || "GeneratedModel";
+  const tableName = options.table || toSnakeCase(baseName) || toSnakeCase(name);
+
+  const headers = Object.keys(records[0]);
+  const columns = assignAttributeNames(inferColumns(headers, records, { sampleSize: options.sampleSize }));
+
+  const primaryKey = detectPrimaryKey(columns, records, options.primaryKey);
+  if (primaryKey) {
+    primaryKey.column.primaryKey = true;
+    primaryKey.column.allowNull = false;
+    primaryKey.column.notes.unshift(`primary key (${primaryKey.detected ? "detected" : "selected"})`);
+  }
+  // Without a primary key Sequelize adds its own "id", which must not meet one from the CSV
+  const idColumn = !primaryKey && columns.find((c) => c.attribute === "id" || c.name.toLowerCase() === "id");
+  if (idColumn) {
+    throw new Error(
+      `${path.basename(filePath)}: column "${idColumn.name}" is not the primary key (it is empty or repeated ` +
+        `in some rows, or -k none was given), so it would clash with Sequelize's default "id"; ` +
+        "choose a primary key with -k <column>"
+    );
+  }
+
+  return {
+    filePath,
+    name,
+    tableName,
+    columns,
+    records,
+    primaryKey: primaryKey && primaryKey.column,
+    code: generateSequelizeModelDefinition(name, columns, { tableName, enums: options.enums }),
+    report: generateTypeReport(name, columns, { rowCount: records.length, enums: options.enums }),
+  };
+}
+
+function showHelp() {
+  console.log(`
+Sequelize Schema Generator
+
+Usage: ./schema-generator.js [options] [csv file or directory...]
+
+Without inputs the CSV path is asked for interactively. A directory generates one
+model per .csv/.tsv file in it.
+
+Options:
+  -n, --name <Model>         Model name (default: file name in PascalCase)
+  -t, --table <table>        Table name, letters, digits and _ (default: file name in snake_case)
+  -o, --out-dir <dir>        Where model files are written (default: ./models)
+      --migrations-dir <dir> Where createTable migrations are written (default: ./migrations)
+      --seeders-dir <dir>    Where CSV seeders are written (default: ./seeders)
+      --chunk-size <n>       Rows per INSERT when seeding (default: 500)
+      --apply                Run the migrations and seeders against the database from
+                             sequelize-config/index.mjs (DB_* environment variables).
+                             Reruns for a table update its migration and seeder; without
+                             --apply they stop at files generated before
+      --replace              With --apply, drop and recreate tables that already hold rows
+  -k, --primary-key <col>    Primary key column, or "none" (default: detected from
+                             unique, non-empty columns, preferring "id")
+      --sample <n>           Infer types from n evenly spaced rows instead of all
+      --enums                Emit ENUM for low-cardinality text columns
+  -d, --dialect <key=val>    Override the detected CSV dialect (repeatable), or "show"
+      --dry-run              Print models and reports to stdout instead of writing
+  -h, --help                 Show this help
+`);
+}
+
+/**
+ * Main runner
+ */
+async function run() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: "string", short: "n" },
+      table: { type: "string", short: "t" },
+      "out-dir": { type: "string", short: "o", default: "./models" },
+      "migrations-dir": { type: "string", default: "./migrations" },
+      "seeders-dir": { type: "string", default: "./seeders" },
+      "chunk-size": { type: "string", default: "500" },
+      apply: { type: "boolean", default: false },
+      replace: { type: "boolean", default: false },
+      "primary-key": { type: "string", short: "k" },
+      sample: { type: "string" },
+      enums: { type: "boolean", default: false },
+      // --dialect key=value overrides detection (repeatable); --dialect show prints it
+      dialect: { type: "string", short: "d", multiple: true },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  const sampleSize = options.sample === undefined ? undefined : Number(options.sample);
+  if (sampleSize !== undefined && (!Number.isInteger(sampleSize) || sampleSize < 1)) {
+    throw new Error(`--sample must be a positive integer, got "${options.sample}"`);
+  }
+  const chunkSize = Number(options["chunk-size"]);
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error(`--chunk-size must be a positive integer, got "${options["chunk-size"]}"`);
+  }
+  if (options.apply && options["dry-run"]) {
+    throw new Error("--apply cannot be combined with --dry-run");
+  }
+  if (options.replace && !options.apply) {
+    throw new Error("--replace only applies together with --apply");
+  }
+  if (options.name && !/^[A-Za-z_$][\w$]*$/.test(options.name)) {
+    throw new Error(`--name must be a valid identifier, got "${options.name}"`);
+  }
+  // The table name ends up in generated code and in migration file names
+  if (options.table && !/^\w+$/.test(options.table)) {
+    throw new Error(`--table may only contain letters, digits and underscores, got "${options.table}"`);
+  }
+
+  const inputs = positionals.length ? positionals : [await promptForCSVPath()];
+  const files = collectCSVFiles(inputs);
+  if (files.length > 1 && (options.name || options.table)) {
+    throw new Error("--name and --table need a single CSV file");
+  }
+
+  // Keep stdout for the generated code on --dry-run
+  const log = options["dry-run"] ? console.error : console.log;
+  const buildOptions = {
+    name: options.name,
+    table: options.table,
+    primaryKey: options["primary-key"],
+    sampleSize,
+    enums: options.enums,
+    dialect: options.dialect,
+  };
+
+  const models = files.map((file) => buildModel(file, buildOptions));
+  const names = models.map((model) => model.name);
+  const clash = names.find((name, i) => names.indexOf(name) !== i);
+  if (clash) throw new Error(`More than one CSV maps to model ${clash}`);
+
+  const now = Date.now();
+  const migrationsDir = options["migrations-dir"];
+  const seedersDir = options["seeders-dir"];
+
+  models.forEach((model, i) => {
+    // One second apart so the migrations keep the input order
+    const stamp = migrationTimestamp(new Date(now + i * 1000));
+    const existingMigration = findGeneratedFile(migrationsDir, "create", model.tableName);
+    const existingSeeder = findGeneratedFile(seedersDir, "seed", model.tableName);
+    // sequelize-cli never reruns a migration recorded in SequelizeMeta, so rewriting one
+    // in place is only safe for --apply, which runs the files itself
+    if ((existingMigration || existingSeeder) && !options.apply && !options["dry-run"]) {
+      const found = [
+        existingMigration && path.join(migrationsDir, existingMigration),
+        existingSeeder && path.join(seedersDir, existingSeeder),
+      ].filter(Boolean);
+      const undo = existingMigration
+        ? `undo it with "npx sequelize-cli db:migrate:undo --name ${existingMigration}" if it was applied, `
+        : "";
+      throw new Error(
+        `Table ${model.tableName} was generated before (${found.join(", ")}); ` +
+          `${undo}delete the files and generate again, or rerun with --apply to update them and recreate the table`
+      );
+    }
+    const migrationFile = existingMigration || `${stamp}-create-${model.tableName}.cjs`;
+    const seederFile = existingSeeder || `${stamp}-seed-${model.tableName}.cjs`;
+    model.migrationPath = path.join(migrationsDir, migrationFile);
+    model.seederPath = path.join(seedersDir, seederFile);
+    model.migration = generateMigration(model, { fileName: migrationFile, enums: options.enums });
+    model.seeder = generateSeeder(model, { fileName: seederFile, seedersDir, dialect: options.dialect, chunkSize });
+  });
+
+  for (const model of models) {
+    if (options["dry-run"]) {
+      process.stdout.write(`${model.code}\n${model.migration}\n${model.seeder}\n${model.report}\n`);
+    } else {
+      const outDir = options["out-dir"];
+      [outDir, migrationsDir, seedersDir].forEach((dir) => fs.mkdirSync(dir, { recursive: true }));
+      fs.writeFileSync(path.join(outDir, `${model.name}.js`), model.code);
+      fs.writeFileSync(path.join(outDir, `${model.name}.report.md`), model.report);
+      fs.writeFileSync(model.migrationPath, model.migration);
+      fs.writeFileSync(model.seederPath, model.seeder);
+      log(`✅ ${model.filePath} → ${path.join(outDir, `${model.name}.js`)} (table ${model.tableName})`);
+      log(`   migration ${model.migrationPath}, seeder ${model.seederPath}`);
+    }
+
+    if (!model.primaryKey) log(`ℹ️  ${model.name}: no primary key column found, Sequelize will add "id"`);
+    const doubtful = model.columns.filter((column) => column.confidence < 0.95 && column.filled > 0);
+    if (doubtful.length) {
+      log(`⚠️  ${model.name}: low confidence for ${doubtful.map((column) => column.name).join(", ")}`);
+    }
+  }
+
+  if (options.apply) await applyToDatabase(models, log, { replace: options.replace });
+}
+
+run().catch((err) => {
+  console.error(`❌ Error: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,309 @@
+/**
+ * Tests for schema-generator.js
+ *
+ * Run with: node --test docs/node-mjs/sequelize-csv-to-schema-model/
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { QueryTypes, Sequelize } from "sequelize";
+import { runScript, tempDir } from "../test-helpers.mjs";
+
+const GENERATOR_PATH = fileURLToPath(new URL("./schema-generator.js", import.meta.url));
+
+const runGenerator = (args, cwd, env) => runScript(GENERATOR_PATH, args, { cwd, env });
+
+const csv = (...rows) => rows.map((row) => row.join(",")).join("\n") + "\n";
+
+// Rows of the type report table: { column: { type, nullable, confidence, notes } }
+function reportRows(report) {
+  const rows = report.split("\n").filter((line) => /^\| (?!Column |---)/.test(line));
+  return Object.fromEntries(
+    rows.map((line) => {
+      const [column, type, nullable, confidence, notes] = line.slice(2, -2).split(" | ");
+      return [column, { type, nullable, confidence, notes }];
+    })
+  );
+}
+
+// Generate with --dry-run and return the report rows
+function inferReport(t, content, args = []) {
+  const dir = tempDir(t, { "data.csv": content });
+  const result = runGenerator(["data.csv", "--dry-run", ...args], dir);
+  assert.equal(result.status, 0, result.stderr);
+  return reportRows(result.stdout.slice(result.stdout.indexOf("# Data type report")));
+}
+
+describe("type inference", () => {
+  test("looks at every row, not just the first", (t) => {
+    const report = inferReport(
+      t,
+      csv(
+        ["id", "qty", "price", "code", "label"],
+        ["1", "", "3", "7", "x"],
+        ["2", "5", "2.75", "9007199254740993", "y"],
+        ["3", "6", "10.5", "12", "z"]
+      )
+    );
+
+    assert.deepEqual(report.qty, { type: "INTEGER", nullable: "yes", confidence: "100%", notes: "only 2 non-empty value(s)" });
+    assert.equal(report.price.type, "DECIMAL(4, 2)");
+    assert.equal(report.code.type, "BIGINT");
+    assert.equal(report.label.nullable, "no");
+  });
+
+  test("widens INTEGER to BIGINT to DECIMAL and keeps leading zeros as text", (t) => {
+    const report = inferReport(
+      t,
+      csv(
+        ["small", "big", "huge", "zip", "sci"],
+        ["2147483647", "2147483648", "1", "01234", "1e3"],
+        ["-2147483648", "1", "123456789012345678901234", "90210", "2.5"]
+      )
+    );
+
+    assert.equal(report.small.type, "INTEGER");
+    assert.equal(report.big.type, "BIGINT");
+    assert.equal(report.huge.type, "DECIMAL(24, 0)");
+    assert.equal(report.zip.type, "STRING(32)");
+    assert.equal(report.sci.type, "DOUBLE");
+  });
+
+  test("sizes STRING to the longest value and falls back to TEXT", (t) => {
+    const report = inferReport(
+      t,
+      csv(["short", "medium", "long"], ["a", "x".repeat(100), "y".repeat(255)], ["b", "c", "z".repeat(256)])
+    );
+
+    assert.equal(report.short.type, "STRING(32)");
+    assert.equal(report.medium.type, "STRING(128)");
+    assert.equal(report.long.type, "TEXT");
+  });
+
+  test("tells DATEONLY from DATE and finds UUIDs and booleans", (t) => {
+    const report = inferReport(
+      t,
+      csv(
+        ["day", "at", "mixed", "bad_day", "uid", "flag"],
+        ["2024-02-29", "2024-01-01T10:00:00Z", "2024-01-01", "2024-02-30", "6f1c1d4e-8a3b-4c2d-9e5f-0a1b2c3d4e5f", "true"],
+        ["2024-03-01", "2024-01-02 11:30", "2024-01-02T08:00:00+02:00", "2024-03-01", "0b7e8f2a-1c3d-4e5f-8a9b-c0d1e2f3a4b5", "FALSE"]
+      )
+    );
+
+    assert.equal(report.day.type, "DATEONLY");
+    assert.equal(report.at.type, "DATE");
+    assert.equal(report.mixed.type, "DATE");
+    assert.equal(report["badDay (bad_day)"].type, "STRING(32)");
+    assert.equal(report.uid.type, "UUID");
+    assert.equal(report.flag.type, "BOOLEAN");
+  });
+
+  test("reports low confidence for mixed columns", (t) => {
+    const rows = Array.from({ length: 9 }, (_, i) => [String(i + 1), String(i * 10)]);
+    const report = inferReport(t, csv(["id", "amount"], ...rows, ["10", "n/a"]));
+
+    assert.equal(report.amount.type, "STRING(32)");
+    assert.equal(report.amount.confidence, "10%");
+    assert.equal(report.amount.notes, "mixed values (integer 9, string 1) forced STRING");
+  });
+
+  test("marks low-cardinality text as an ENUM candidate and emits it with --enums", (t) => {
+    const rows = Array.from({ length: 12 }, (_, i) => [String(i + 1), ["active", "inactive", "banned"][i % 3]]);
+    const content = csv(["id", "status"], ...rows);
+
+    assert.equal(inferReport(t, content).status.notes, "ENUM candidate (3 distinct values)");
+    assert.equal(inferReport(t, content, ["--enums"]).status.type, 'ENUM("active", "banned", "inactive")');
+  });
+
+  test("--sample infers from evenly spaced rows but checks every row for empty cells", (t) => {
+    const rows = Array.from({ length: 100 }, (_, i) => [String(i + 1), i === 99 ? "" : "1"]);
+    const report = inferReport(t, csv(["id", "n"], ...rows), ["--sample", "10"]);
+
+    assert.equal(report.n.type, "INTEGER");
+    assert.equal(report.n.nullable, "yes");
+    assert.match(report.n.notes, /inferred from 10 of 100 rows/);
+  });
+
+  test("writes the report next to the model", (t) => {
+    const dir = tempDir(t, { "orders.csv": csv(["id", "total"], ["1", "9.99"], ["2", ""]) });
+
+    const result = runGenerator(["orders.csv"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    const model = readFileSync(join(dir, "models", "Orders.js"), "utf8");
+    assert.match(model, /total: \{\n {6}type: DataTypes\.DECIMAL\(3, 2\),\n {6}allowNull: true\n/);
+    const report = reportRows(readFileSync(join(dir, "models", "Orders.report.md"), "utf8"));
+    assert.equal(report.id.notes, "primary key (detected); only 2 non-empty value(s)");
+  });
+});
+
+describe("generator CLI", () => {
+  test("names the model, table and attributes, keeping headers through field", (t) => {
+    const dir = tempDir(t, { "customer-export.csv": csv(["Customer ID", "First Name", "e-mail"], ["1", "Ann", "a@x.com"]) });
+
+    const result = runGenerator(["customer-export.csv", "--dry-run"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^\/\/ models\/CustomerExport\.js$/m);
+    assert.match(result.stdout, /tableName: 'customer_export'/);
+    assert.match(
+      result.stdout,
+      /customerId: \{\n {6}type: DataTypes\.INTEGER,\n {6}allowNull: false,\n {6}primaryKey: true,\n {6}field: "Customer ID"\n/
+    );
+    assert.match(result.stdout, /firstName: \{[^}]*field: "First Name"/);
+    assert.match(result.stdout, /eMail: \{[^}]*field: "e-mail"/);
+    assert.equal(existsSync(join(dir, "models")), false);
+  });
+
+  test("takes the model name, table name, primary key and output directories from flags", (t) => {
+    const dir = tempDir(t, { "data.csv": csv(["code", "id"], ["A", "1"], ["B", "1"]) });
+
+    const result = runGenerator(
+      ["data.csv", "-n", "Product", "-t", "shop_products", "-k", "code", "-o", "out"].concat(
+        ["--migrations-dir", "db/m", "--seeders-dir", "db/s"]
+      ),
+      dir
+    );
+    assert.equal(result.status, 0, result.stderr);
+    const model = readFileSync(join(dir, "out", "Product.js"), "utf8");
+    assert.match(model, /sequelize\.define\('Product'/);
+    assert.match(model, /tableName: 'shop_products'/);
+    assert.match(model, /code: \{[^}]*primaryKey: true/);
+    assert.match(readdirSync(join(dir, "db", "m"))[0], /^\d{14}-create-shop_products\.cjs$/);
+    assert.match(readdirSync(join(dir, "db", "s"))[0], /^\d{14}-seed-shop_products\.cjs$/);
+  });
+
+  test("generates one model per CSV in a directory", (t) => {
+    const dir = tempDir(t);
+    mkdirSync(join(dir, "exports"));
+    writeFileSync(join(dir, "exports", "orders.csv"), csv(["id"], ["1"]));
+    writeFileSync(join(dir, "exports", "order_items.tsv"), "id\tsku\n1\tA\n");
+    writeFileSync(join(dir, "exports", "notes.txt"), "not a csv");
+
+    const result = runGenerator(["exports"], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(readdirSync(join(dir, "models")).sort(), [
+      "OrderItems.js",
+      "OrderItems.report.md",
+      "Orders.js",
+      "Orders.report.md",
+    ]);
+  });
+
+  test("rejects table names that are not plain identifiers", (t) => {
+    const dir = tempDir(t, { "data.csv": csv(["id"], ["1"]) });
+
+    for (const table of ["x'; drop", "../escape", "a b"]) {
+      const result = runGenerator(["data.csv", "-t", table, "--dry-run"], dir);
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /--table may only contain letters, digits and underscores/);
+    }
+  });
+
+  test("refuses an id column that Sequelize's default id would clash with", (t) => {
+    const dir = tempDir(t, {
+      "data.csv": "id,name\n1,Ann\n1,Bob\n,Cy\n",
+      "upper.csv": csv(["ID", "name"], ["1", "Ann"]),
+    });
+
+    const repeated = runGenerator(["data.csv", "--dry-run"], dir);
+    assert.equal(repeated.status, 1);
+    assert.match(repeated.stderr, /column "id" is not the primary key .* choose a primary key with -k <column>/);
+    assert.match(runGenerator(["upper.csv", "-k", "none", "--dry-run"], dir).stderr, /column "ID" is not the primary key/);
+
+    const keyed = runGenerator(["data.csv", "-k", "name", "--dry-run"], dir);
+    assert.equal(keyed.status, 0, keyed.stderr);
+  });
+
+  test("rejects unknown primary key columns and clashing options", (t) => {
+    const dir = tempDir(t, { "data.csv": csv(["id", "name"], ["1", "Ann"]) });
+
+    const missing = runGenerator(["data.csv", "-k", "email", "--dry-run"], dir);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Primary key column not found: email\nAvailable headers: id, name/);
+    assert.match(runGenerator(["data.csv", "-n", "bad name"], dir).stderr, /--name must be a valid identifier/);
+    assert.match(runGenerator(["data.csv", "--apply", "--dry-run"], dir).stderr, /cannot be combined/);
+  });
+});
+
+describe("migrations, seeders and --apply", () => {
+  const ORDERS = csv(
+    ["id", "customer", "total", "paid", "placed_on", "big"],
+    ["1", "Ann", "19.99", "true", "2024-01-05", "9007199254740993"],
+    ["2", "Bob", "5", "false", "2024-02-29", ""],
+    ["3", "", "120.5", "TRUE", "", "7"]
+  );
+
+  // Query a SQLite file the generator wrote
+  async function queryDatabase(t, storage, sql) {
+    const sequelize = new Sequelize({ dialect: "sqlite", storage, logging: false });
+    t.after(() => sequelize.close());
+    return sequelize.query(sql, { type: QueryTypes.SELECT });
+  }
+
+  test("creates and seeds a SQLite table through sequelize-config", async (t) => {
+    const dir = tempDir(t, { "orders.csv": ORDERS });
+    const env = { DB_DIALECT: "sqlite", DB_HOST: join(dir, "shop.sqlite") };
+
+    const result = runGenerator(["orders.csv", "--apply", "--chunk-size", "2"], dir, env);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /🌱 Seeded 3 rows into orders/);
+
+    const rows = await queryDatabase(t, env.DB_HOST, "SELECT * FROM orders ORDER BY id");
+    assert.deepEqual(rows, [
+      { id: 1, customer: "Ann", total: 19.99, paid: 1, placed_on: "2024-01-05", big: 9007199254740992 },
+      { id: 2, customer: "Bob", total: 5, paid: 0, placed_on: "2024-02-29", big: null },
+      { id: 3, customer: null, total: 120.5, paid: 1, placed_on: null, big: 7 },
+    ]);
+    const [{ big }] = await queryDatabase(t, env.DB_HOST, "SELECT CAST(big AS TEXT) AS big FROM orders WHERE id = 1");
+    assert.equal(big, "9007199254740993");
+  });
+
+  test("stops at a table that already has rows unless --replace is given", async (t) => {
+    const dir = tempDir(t, { "orders.csv": ORDERS });
+    const env = { DB_DIALECT: "sqlite", DB_HOST: join(dir, "shop.sqlite") };
+    assert.equal(runGenerator(["orders.csv", "--apply"], dir, env).status, 0);
+
+    writeFileSync(join(dir, "orders.csv"), csv(["id", "customer"], ["10", "Cy"]));
+    const refused = runGenerator(["orders.csv", "--apply"], dir, env);
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /Table orders already exists with 3 row\(s\); drop it or rerun with --replace/);
+
+    const replaced = runGenerator(["orders.csv", "--apply", "--replace"], dir, env);
+    assert.equal(replaced.status, 0, replaced.stderr);
+    assert.match(replaced.stdout, /orders dropped \(3 row\(s\)\)/);
+    assert.deepEqual(await queryDatabase(t, env.DB_HOST, "SELECT * FROM orders"), [{ id: 10, customer: "Cy" }]);
+  });
+
+  test("reruns reuse the table's migration and seeder only with --apply", (t) => {
+    const dir = tempDir(t, { "orders.csv": ORDERS });
+    const env = { DB_DIALECT: "sqlite", DB_HOST: join(dir, "shop.sqlite") };
+
+    assert.equal(runGenerator(["orders.csv"], dir).status, 0);
+    const [migration] = readdirSync(join(dir, "migrations"));
+    const [seeder] = readdirSync(join(dir, "seeders"));
+    const generated = readFileSync(join(dir, "migrations", migration), "utf8");
+
+    // sequelize-cli would not rerun the rewritten migration once applied
+    writeFileSync(join(dir, "orders.csv"), csv(["id", "note"], ["1", "x"]));
+    const refused = runGenerator(["orders.csv"], dir);
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /Table orders was generated before/);
+    assert.ok(refused.stderr.includes(`npx sequelize-cli db:migrate:undo --name ${migration}`));
+    assert.equal(readFileSync(join(dir, "migrations", migration), "utf8"), generated);
+    assert.equal(runGenerator(["orders.csv", "--dry-run"], dir).status, 0);
+
+    const applied = runGenerator(["orders.csv", "--apply"], dir, env);
+    assert.equal(applied.status, 0, applied.stderr);
+    assert.deepEqual(readdirSync(join(dir, "migrations")), [migration]);
+    assert.deepEqual(readdirSync(join(dir, "seeders")), [seeder]);
+    assert.match(readFileSync(join(dir, "migrations", migration), "utf8"), /note: \{/);
+    assert.match(readFileSync(join(dir, "seeders", seeder), "utf8"), /note: 'STRING'/);
+  });
+
+  test("requires --apply for --replace", (t) => {
+    const dir = tempDir(t, { "orders.csv": ORDERS });
+    assert.match(runGenerator(["orders.csv", "--replace"], dir).stderr, /--replace only applies together with --apply/);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Test Helpers
+ *
+ * Fixtures shared by the node:test suites under docs/node-mjs: temporary
+ * directories that clean up after themselves and a runner for the CLI scripts.
+ */
+
+import { spawnSync } from "child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+/**
+ * Create a temporary directory removed when the test ends
+ * @param {import("node:test").TestContext} t
+ * @param {Object<string, string|Buffer|*>} [files] - File name → content; other values are written as JSON
+ * @returns {string} Directory path
+ */
+export function tempDir(t, files = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "node-mjs-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    const data = typeof content === "string" || Buffer.isBuffer(content) ? content : JSON.stringify(content);
+    writeFileSync(join(dir, name), data);
+  }
+  return dir;
+}
+
+/**
+ * Run a script with the current Node binary and wait for it to exit
+ * @param {string} scriptPath
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {Object<string, string>} [options.env] - Added to the current environment
+ * @returns {{ status: number, stdout: string, stderr: string }}
+ */
+export function runScript(scriptPath, args, { cwd, env } = {}) {
+  return spawnSync(process.execPath, [scriptPath, ...args], {
+    cwd,
+    encoding: "utf8",
+    timeout: 60000,
+    env: { ...process.env, ...env },
+  });
+}